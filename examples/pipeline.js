@@ -7,9 +7,12 @@ var vstream = require('../lib/vstream');
  * Read the contents of /usr/bin/more and direct it to /dev/null.
  */
 var instream, passthru, outstream;
-instream = vstream.wrapStream(fs.createReadStream('/usr/bin/more'), 'source');
-passthru = vstream.wrapStream(new stream.PassThrough(), 'passthru');
-outstream = vstream.wrapStream(fs.createWriteStream('/dev/null'), 'devnull');
+instream = vstream.wrapStream(fs.createReadStream('/usr/bin/more'),
+    { 'name': 'source', 'countData': true });
+passthru = vstream.wrapStream(new stream.PassThrough(),
+    { 'name': 'passthru', 'countData': true });
+outstream = vstream.wrapStream(fs.createWriteStream('/dev/null'),
+    { 'name': 'devnull', 'countData': true });
 
 instream.pipe(passthru);
 passthru.pipe(outstream);
@@ -0,0 +1,330 @@
+/*
+ * lib/async.js: async iterator and promise interfaces for instrumented
+ * pipelines, and a version of Node's stream.pipeline() that instruments them.
+ */
+
+var mod_assertplus = require('assert-plus');
+var mod_stream = require('stream');
+var mod_streamstate = require('./stream-state');
+var mod_vstream = require('./vstream');
+var GeneratorStream = require('./generator-stream');
+
+/* Public interface */
+exports.iterate = iterate;
+exports.runPipeline = runPipeline;
+exports.pipeline = pipeline;
+
+/*
+ * Returns an async iterator (suitable for "for await") over the values emitted
+ * by "stream".  Named options include:
+ *
+ * [provenance]			if true, each value is yielded as an object
+ * (boolean)			with properties "value" (the raw value),
+ * 				"provenance" (an array of steps, as in
+ * 				ProvenanceValue.prototype.toJSON()), and
+ * 				"label" (as from ProvenanceValue.prototype.
+ * 				label()).  Otherwise, raw values are yielded.
+ * 				(default: true)
+ *
+ * [highWaterMark]		number of values to buffer before pausing
+ * (number)			"stream" until the caller catches up
+ * 				(default: 16)
+ *
+ * Provenance is only available when "stream" is an instrumented Transform (or a
+ * container, like a PipelineStream, that ends with one).  Values from other
+ * streams have empty provenance.  If "stream" emits 'error' (or is destroyed
+ * before it ends), the pending (or next) call to next() rejects with the error,
+ * annotated if possible (see errorContext()), and iteration stops.  Stopping
+ * iteration early (e.g., with "break") stops reading from "stream" and leaves
+ * it paused.  Calls to next() made before earlier ones have completed are
+ * completed in order.
+ */
+function iterate(stream, options)
+{
+	var queue, waiting, error, ended, wantprov, hwm, rv, unwatch;
+
+	mod_assertplus.object(stream, 'stream');
+	mod_assertplus.optionalObject(options, 'options');
+	if (!options)
+		options = {};
+	mod_assertplus.optionalBool(options.provenance, 'options.provenance');
+	mod_assertplus.optionalNumber(options.highWaterMark,
+	    'options.highWaterMark');
+
+	wantprov = options.provenance !== false;
+	hwm = options.highWaterMark || 16;
+	queue = [];		/* values received but not yet consumed */
+	waiting = [];		/* pending next() calls */
+	error = null;		/* error emitted by "stream", if any */
+	ended = false;		/* whether iteration is over */
+
+	function onData(chunk) {
+		queue.push(wantprov ? describe(chunk) : unwrap(chunk));
+		if (queue.length >= hwm)
+			stream.pause();
+		settle();
+	}
+
+	function onDone(err) {
+		if (ended)
+			return;
+
+		if (err) {
+			if (mod_vstream.errorContext(err) === null &&
+			    typeof (stream.vs_name) == 'string')
+				mod_vstream.annotateError(err, stream);
+			error = err;
+		}
+
+		ended = true;
+		cleanup();
+		settle();
+	}
+
+	function cleanup() {
+		stream.removeListener('data', onData);
+		unwatch();
+	}
+
+	/*
+	 * Complete as many pending calls to next() as we can.
+	 */
+	function settle() {
+		var w;
+
+		while (waiting.length > 0) {
+			if (queue.length > 0) {
+				w = waiting.shift();
+				w.resolve({
+				    'value': queue.shift(),
+				    'done': false
+				});
+			} else if (error !== null) {
+				w = waiting.shift();
+				w.reject(error);
+				error = null;
+			} else if (ended) {
+				w = waiting.shift();
+				w.resolve({ 'value': undefined, 'done': true });
+			} else {
+				break;
+			}
+		}
+	}
+
+	if (wantprov && typeof (stream.vsOnMarshaled) == 'function')
+		stream.vsOnMarshaled(onData);
+	else
+		stream.on('data', onData);
+	unwatch = whenDone(stream, onDone);
+
+	rv = {};
+	rv.next = function () {
+		return (new Promise(function (resolve, reject) {
+			waiting.push({ 'resolve': resolve, 'reject': reject });
+			settle();
+			if (waiting.length > 0 && !ended)
+				stream.resume();
+		}));
+	};
+	rv['return'] = function () {
+		if (!ended) {
+			ended = true;
+			cleanup();
+			stream.pause();
+		}
+		queue = [];
+		settle();
+		return (Promise.resolve({ 'value': undefined, 'done': true }));
+	};
+	rv[Symbol.asyncIterator] = function () { return (this); };
+	return (rv);
+}
+
+/*
+ * Returns the raw value for "chunk", which may be a ProvenanceValue.
+ */
+function unwrap(chunk)
+{
+	return (chunk instanceof mod_vstream.ProvenanceValue ?
+	    chunk.pv_value : chunk);
+}
+
+/*
+ * Returns the object yielded by iterate() for "chunk", which may be a
+ * ProvenanceValue.
+ */
+function describe(chunk)
+{
+	var json;
+
+	if (!(chunk instanceof mod_vstream.ProvenanceValue))
+		chunk = new mod_vstream.ProvenanceValue(chunk);
+
+	json = chunk.toJSON();
+	return ({
+	    'value': chunk.pv_value,
+	    'provenance': json.provenance,
+	    'label': chunk.label()
+	});
+}
+
+/*
+ * Invoke "callback" once "stream" has emitted 'end' (or, for streams that are
+ * only writable, 'finish'), or with an error if it emits 'error' or is
+ * destroyed first.  This is stream.finished(), except that it also works for
+ * streams that have already ended or been destroyed, which older versions of
+ * Node's stream.finished() wait for forever.  Returns a function that removes
+ * the listeners this adds.
+ */
+function whenDone(stream, callback)
+{
+	var rs, ws, timer;
+
+	rs = mod_streamstate.readableState(stream);
+	ws = mod_streamstate.writableState(stream);
+
+	if (rs !== null ? rs.endEmitted : ws === null || ws.finished) {
+		timer = setImmediate(callback, null);
+	} else if ((rs !== null ? rs : ws).destroyed) {
+		timer = setImmediate(callback, new Error(
+		    'stream was destroyed before it ' +
+		    (rs !== null ? 'ended' : 'finished')));
+	} else {
+		return (mod_stream.finished(stream, { 'writable': rs === null },
+		    function (err) { callback(err || null); }));
+	}
+
+	return (function () { clearImmediate(timer); });
+}
+
+/*
+ * Returns a Promise that resolves when the pipeline containing "stream" has
+ * finished: that is, when every stream reachable from "stream" (see
+ * vsWalkGraph()) other than those inside containers has emitted 'end' (or,
+ * for streams that are only writable, 'finish').  Streams at the end of the
+ * pipeline whose output nobody is reading are read (and their output
+ * discarded) so that they can finish.  The Promise resolves to an array with
+ * one object per stream, in vsWalkGraph() order, with properties "name" and
+ * "counters" (a copy of the stream's final counters).
+ *
+ * If any of these streams emits 'error' or is destroyed before it finishes,
+ * the Promise is rejected with the first such error, annotated if possible (see
+ * errorContext()).  Later errors are ignored.
+ */
+function runPipeline(stream)
+{
+	mod_assertplus.object(stream, 'stream');
+	mod_assertplus.ok(typeof (stream.vsWalkGraph) == 'function',
+	    'stream has not been instrumented');
+
+	return (new Promise(function (resolve, reject) {
+		var streams, unwatch, npending, failed;
+
+		streams = [];
+		stream.vsWalkGraph(function (s, _, container) {
+			if (container === null)
+				streams.push(s);
+		});
+
+		npending = streams.length;
+		failed = false;
+
+		function onDone(s, err) {
+			if (failed)
+				return;
+
+			if (err) {
+				failed = true;
+				if (mod_vstream.errorContext(err) === null &&
+				    typeof (s.vs_name) == 'string')
+					mod_vstream.annotateError(err, s);
+				reject(err);
+				return;
+			}
+
+			if (--npending > 0)
+				return;
+
+			unwatch.forEach(function (f) { f(); });
+			resolve(stream.vsGraph().nodes.map(function (n) {
+				return ({
+				    'name': n.name,
+				    'counters': n.counters
+				});
+			}));
+		}
+
+		unwatch = streams.map(function (s) {
+			var rs, rv;
+
+			rv = whenDone(s, function (err) { onDone(s, err); });
+			rs = mod_streamstate.readableState(s);
+			if (rs !== null && rs.flowing === null)
+				s.resume();
+			return (rv);
+		});
+	}));
+}
+
+/*
+ * Like Node's stream.pipeline(), but the resulting pipeline is instrumented as
+ * though its streams had been piped together with pipe().  Arguments are any
+ * number of stages (or a single array of them) followed by a callback, which is
+ * invoked as for stream.pipeline() once the pipeline has finished or failed.
+ * Each stage may be:
+ *
+ *     a stream, which is instrumented with wrapStream() (and named after its
+ *     constructor) if it hasn't been instrumented already
+ *
+ *     an async generator function (except for the first stage), which is run
+ *     by a GeneratorStream named after the function so that provenance flows
+ *     through it
+ *
+ * The upstream and downstream linkages between consecutive stages are recorded
+ * before any data flows, regardless of whether Node emits 'pipe' for them.
+ * Returns the last stream in the pipeline.  A stage built with
+ * stream.compose() is treated as a single stream, since the streams inside it
+ * aren't visible.
+ */
+function pipeline()
+{
+	var args, callback, streams, i;
+
+	args = Array.prototype.slice.call(arguments);
+	callback = args.pop();
+	mod_assertplus.func(callback, 'callback');
+	if (args.length == 1 && Array.isArray(args[0]))
+		args = args[0];
+	mod_assertplus.ok(args.length >= 2,
+	    'pipeline requires at least two stages');
+
+	streams = args.map(function (stage, j) {
+		if (typeof (stage) == 'function') {
+			mod_assertplus.ok(j > 0,
+			    'first stage of pipeline must be a stream');
+			return (new GeneratorStream(stage));
+		}
+
+		mod_assertplus.ok(typeof (stage) == 'object' &&
+		    stage !== null && typeof (stage.on) == 'function',
+		    'stage ' + j + ' must be a stream or a function');
+		if (typeof (stage.vs_name) != 'string')
+			mod_vstream.wrapStream(stage);
+		return (stage);
+	});
+
+	/*
+	 * Node's pipeline() pipes most stages together right away, which
+	 * records their linkages through the 'pipe' handler (see
+	 * instrumentStream()).  Record the rest ourselves.  Data doesn't start
+	 * flowing until later.
+	 */
+	mod_stream.pipeline(streams, callback);
+	for (i = 0; i < streams.length - 1; i++) {
+		if (streams[i].vs_downstreams.indexOf(streams[i + 1]) == -1)
+			streams[i].vsRecordPipe(streams[i + 1]);
+	}
+
+	return (streams[streams.length - 1]);
+}
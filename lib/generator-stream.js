@@ -0,0 +1,268 @@
+/*
+ * lib/generator-stream.js: Transform stream that runs its inputs through an
+ * async generator function, like the stages that Node's stream.pipeline()
+ * accepts in between streams.
+ */
+
+var mod_assertplus = require('assert-plus');
+var mod_stream = require('stream');
+var mod_util = require('util');
+var mod_vstream = require('./vstream');
+
+/* Public interface */
+module.exports = GeneratorStream;
+
+/*
+ * func				async generator function (or any function that
+ * (function)			takes an async iterable and returns one).  It's
+ * 				invoked once, with an async iterable of this
+ * 				stream's inputs, and every value it yields is
+ * 				emitted by this stream.
+ *
+ * [options]			passed to wrapTransform().  The default name is
+ * (string or object)		the name of "func", or "GeneratorStream" if it
+ * 				has none.
+ *
+ * Each value that "func" yields is attributed to the input it read most
+ * recently, so provenance flows through the generator as it would through any
+ * other instrumented Transform.  Values yielded after the inputs are exhausted
+ * are attributed to no input, like values pushed from _flush().  This relies on
+ * "func" reading its inputs one at a time, as "for await" does, so calling
+ * next() again before the previous call has completed is an error.
+ *
+ * Errors thrown by "func" are reported (and annotated) for the input it last
+ * read.  If "func" returns before reading all of the inputs, the rest are
+ * discarded, and this stream's output ends when its input does.
+ */
+function GeneratorStream(func, options)
+{
+	var opts, k;
+
+	mod_assertplus.func(func, 'func');
+	if (typeof (options) == 'string') {
+		opts = options;
+	} else {
+		opts = { 'name': func.name || 'GeneratorStream' };
+		for (k in options) {
+			if (options[k] !== undefined)
+				opts[k] = options[k];
+		}
+	}
+
+	mod_stream.Transform.call(this, { 'objectMode': true });
+
+	this.gs_func = func;
+	this.gs_output = null;		/* iterator returned by "func" */
+	this.gs_pending = null;		/* input not yet read by "func" */
+	this.gs_reader = null;		/* pending next() call from "func" */
+	this.gs_held = null;		/* callback for input being processed */
+	this.gs_flush = null;		/* callback for pending _flush() */
+	this.gs_ended = false;		/* no more inputs for "func" */
+	this.gs_finished = false;	/* "func" has finished */
+	this.gs_resume = null;		/* resumes output after backpressure */
+	this.gs_wantread = false;	/* _read() called since last push() */
+
+	mod_vstream.wrapTransform(this, opts);
+}
+
+mod_util.inherits(GeneratorStream, mod_stream.Transform);
+
+GeneratorStream.prototype._transform = function (chunk, _, callback)
+{
+	if (this.gs_finished) {
+		callback();
+		return;
+	}
+
+	this.gs_pending = { 'value': chunk, 'callback': callback };
+	generatorStart(this);
+	generatorFeed(this);
+};
+
+GeneratorStream.prototype._flush = function (callback)
+{
+	if (this.gs_finished) {
+		callback();
+		return;
+	}
+
+	this.gs_flush = callback;
+	this.gs_pending = { 'value': undefined, 'callback': null };
+	generatorStart(this);
+	generatorFeed(this);
+};
+
+GeneratorStream.prototype._read = function (size)
+{
+	var resume = this.gs_resume;
+
+	this.gs_wantread = true;
+	mod_stream.Transform.prototype._read.call(this, size);
+	if (resume !== null) {
+		this.gs_resume = null;
+		resume();
+	}
+};
+
+/*
+ * Invoke the generator function, if we haven't already, and start emitting
+ * what it yields.  This happens when the first input (or the end of input)
+ * arrives rather than when the stream is created so that there's always an
+ * input to attribute values to.
+ */
+function generatorStart(gs)
+{
+	var source;
+
+	if (gs.gs_output !== null)
+		return;
+
+	source = {};
+	source.next = function () {
+		return (generatorRead(gs));
+	};
+	source['return'] = function () {
+		gs.gs_ended = true;
+		return (Promise.resolve({ 'value': undefined, 'done': true }));
+	};
+	source[Symbol.asyncIterator] = function () { return (this); };
+
+	try {
+		gs.gs_output = gs.gs_func(source);
+		mod_assertplus.ok(gs.gs_output !== null &&
+		    typeof (gs.gs_output) == 'object' &&
+		    typeof (gs.gs_output[Symbol.asyncIterator]) == 'function',
+		    'generator function must return an async iterable');
+		gs.gs_output = gs.gs_output[Symbol.asyncIterator]();
+	} catch (ex) {
+		generatorFinish(gs, ex);
+		return;
+	}
+
+	generatorPump(gs);
+}
+
+/*
+ * Implements next() for the iterable of inputs passed to the generator
+ * function.  Asking for the next input means the generator is done with the
+ * previous one, so that's when we tell Node we've finished processing it.
+ */
+function generatorRead(gs)
+{
+	var callback;
+
+	if (gs.gs_reader !== null)
+		return (Promise.reject(new Error('next() called before ' +
+		    'previous call completed')));
+
+	if (gs.gs_ended)
+		return (Promise.resolve({ 'value': undefined, 'done': true }));
+
+	return (new Promise(function (resolve) {
+		gs.gs_reader = resolve;
+		callback = gs.gs_held;
+		gs.gs_held = null;
+		if (callback !== null) {
+			callback();
+
+			/*
+			 * If our read buffer was full, Transform defers that
+			 * callback until the next _read().  But if _read() was
+			 * already called while we were waiting for the
+			 * generator, Node won't call it again until we push
+			 * something, which we can't do without another input.
+			 */
+			if (gs.gs_wantread)
+				mod_stream.Transform.prototype._read.call(gs);
+		}
+		generatorFeed(gs);
+	}));
+}
+
+/*
+ * If the generator function is waiting for an input and one is available, hand
+ * it over.
+ */
+function generatorFeed(gs)
+{
+	var reader, input;
+
+	if (gs.gs_reader === null || gs.gs_pending === null)
+		return;
+
+	reader = gs.gs_reader;
+	input = gs.gs_pending;
+	gs.gs_reader = null;
+	gs.gs_pending = null;
+
+	if (input.callback === null) {
+		gs.gs_ended = true;
+		reader({ 'value': undefined, 'done': true });
+	} else {
+		gs.gs_held = input.callback;
+		reader({ 'value': input.value, 'done': false });
+	}
+}
+
+/*
+ * Emit values yielded by the generator function until it finishes or our
+ * reader applies backpressure.
+ */
+function generatorPump(gs)
+{
+	gs.gs_output.next().then(function (result) {
+		if (result.done) {
+			generatorFinish(gs, null);
+			return;
+		}
+
+		if (gs.vs_context === null) {
+			generatorFinish(gs, new Error('generator yielded a ' +
+			    'value while no input was being processed'));
+			return;
+		}
+
+		gs.gs_wantread = false;
+		if (gs.push(result.value))
+			generatorPump(gs);
+		else
+			gs.gs_resume = function () { generatorPump(gs); };
+	}, function (err) {
+		generatorFinish(gs, err);
+	});
+}
+
+/*
+ * The generator function has finished, either successfully or (if "err" is
+ * non-null) not.  Complete the input or flush we're holding onto, if any.
+ */
+function generatorFinish(gs, err)
+{
+	var callback;
+
+	gs.gs_finished = true;
+	gs.gs_ended = true;
+
+	if (gs.gs_held !== null) {
+		callback = gs.gs_held;
+		gs.gs_held = null;
+	} else if (gs.gs_pending !== null && gs.gs_pending.callback !== null) {
+		callback = gs.gs_pending.callback;
+		gs.gs_pending = null;
+	} else if (gs.gs_flush !== null) {
+		callback = gs.gs_flush;
+		gs.gs_flush = null;
+		gs.gs_pending = null;
+	} else {
+		callback = null;
+	}
+
+	if (callback !== null) {
+		if (err)
+			callback(err);
+		else
+			callback();
+	} else if (err) {
+		gs.destroy(err);
+	}
+}
@@ -0,0 +1,188 @@
+/*
+ * lib/latency-histogram.js: log-linear histogram of latency measurements.
+ */
+
+var mod_assertplus = require('assert-plus');
+var sprintf = require('extsprintf').sprintf;
+
+/* Public interface */
+module.exports = LatencyHistogram;
+
+/*
+ * A LatencyHistogram records latencies, in microseconds, in log-linear buckets
+ * (like DTrace's llquantize() with a factor of 10): values below 10us are
+ * recorded in buckets 1us wide, values from 10us to 100us in buckets 10us wide,
+ * values from 100us to 1ms in buckets 100us wide, and so on.  So from 10us up,
+ * there are nine buckets for each order of magnitude, each as wide as the
+ * smallest value in that order of magnitude.  The resolution is coarsest at the
+ * bottom of each range, where a bucket is as wide as its lower bound (e.g.,
+ * [10, 20) us), and finest at the top, where it's about 11% of it (e.g.,
+ * [90, 100) us).  The exact count, minimum, maximum, and mean are tracked
+ * separately.
+ */
+function LatencyHistogram()
+{
+	this.lh_count = 0;
+	this.lh_total = 0;
+	this.lh_min = null;
+	this.lh_max = null;
+	this.lh_buckets = {};	/* count of values, by bucket lower bound */
+}
+
+/* Percentiles reported by summary() */
+LatencyHistogram.PERCENTILES = [ 50, 90, 95, 99 ];
+
+/*
+ * Returns the lower bound and width of the bucket for "value" (in
+ * microseconds).
+ */
+LatencyHistogram.bucket = function (value)
+{
+	var v, mag;
+
+	v = Math.floor(value);
+	if (v < 10)
+		return ({ 'min': v, 'width': 1 });
+
+	for (mag = 10; mag * 10 <= v; mag *= 10)
+		continue;
+
+	return ({ 'min': Math.floor(v / mag) * mag, 'width': mag });
+};
+
+/*
+ * Record a single measurement of "value" microseconds.
+ */
+LatencyHistogram.prototype.record = function (value)
+{
+	var b;
+
+	/*
+	 * Instrumented Transforms record a latency for every input, so this
+	 * checks the type with "typeof" rather than mod_assertplus.number(),
+	 * which costs more than the rest of this function put together.
+	 */
+	mod_assertplus.ok(typeof (value) == 'number',
+	    'value (number) is required');
+	mod_assertplus.ok(value >= 0, 'latency must be non-negative');
+
+	this.lh_count++;
+	this.lh_total += value;
+	if (this.lh_min === null || value < this.lh_min)
+		this.lh_min = value;
+	if (this.lh_max === null || value > this.lh_max)
+		this.lh_max = value;
+
+	b = LatencyHistogram.bucket(value).min;
+	if (!this.lh_buckets.hasOwnProperty(b))
+		this.lh_buckets[b] = 0;
+	this.lh_buckets[b]++;
+};
+
+/*
+ * Record the time elapsed since "start", a value returned by process.hrtime().
+ */
+LatencyHistogram.prototype.recordSince = function (start)
+{
+	var delta = process.hrtime(start);
+	this.record(delta[0] * 1e6 + delta[1] / 1e3);
+};
+
+/*
+ * Returns a plain object summarizing the histogram, with properties:
+ *
+ *     count		number of measurements recorded
+ *
+ *     min, max, mean	exact minimum, maximum, and mean, in microseconds (null
+ *     			if nothing has been recorded)
+ *
+ *     percentiles	object mapping "p50", "p90", "p95", and "p99" to the
+ *     			estimated value of that percentile (the upper bound of
+ *     			the bucket containing it, clamped to the actual minimum
+ *     			and maximum)
+ *
+ *     buckets		array of non-empty buckets, in increasing order, each
+ *     			with "min" (inclusive), "max" (exclusive), and "count"
+ */
+LatencyHistogram.prototype.summary = function ()
+{
+	var self = this;
+	var buckets, percentiles;
+
+	buckets = Object.keys(this.lh_buckets).map(function (k) {
+		var min = parseInt(k, 10);
+		return ({
+		    'min': min,
+		    'max': min + LatencyHistogram.bucket(min).width,
+		    'count': self.lh_buckets[k]
+		});
+	}).sort(function (a, b) { return (a.min - b.min); });
+
+	percentiles = {};
+	LatencyHistogram.PERCENTILES.forEach(function (p) {
+		var target, seen, i, value;
+
+		if (self.lh_count === 0) {
+			percentiles['p' + p] = null;
+			return;
+		}
+
+		target = Math.ceil(self.lh_count * p / 100);
+		seen = 0;
+		for (i = 0; i < buckets.length; i++) {
+			seen += buckets[i].count;
+			if (seen >= target)
+				break;
+		}
+
+		value = Math.min(buckets[i].max, self.lh_max);
+		percentiles['p' + p] = Math.max(value, self.lh_min);
+	});
+
+	return ({
+	    'count': this.lh_count,
+	    'min': this.lh_min,
+	    'max': this.lh_max,
+	    'mean': this.lh_count === 0 ? null : this.lh_total / this.lh_count,
+	    'percentiles': percentiles,
+	    'buckets': buckets
+	});
+};
+
+/*
+ * Returns a one-line, human-readable summary of the histogram.
+ */
+LatencyHistogram.prototype.toString = function ()
+{
+	var summary = this.summary();
+	var parts;
+
+	if (summary.count === 0)
+		return ('count 0');
+
+	parts = [
+	    sprintf('count %d', summary.count),
+	    sprintf('min %s', formatLatency(summary.min)),
+	    sprintf('mean %s', formatLatency(summary.mean)),
+	    sprintf('max %s', formatLatency(summary.max))
+	];
+
+	LatencyHistogram.PERCENTILES.forEach(function (p) {
+		parts.push(sprintf('p%d %s', p,
+		    formatLatency(summary.percentiles['p' + p])));
+	});
+
+	return (parts.join(', '));
+};
+
+/*
+ * Format a latency in microseconds using whichever unit is most readable.
+ */
+function formatLatency(us)
+{
+	if (us < 1000)
+		return (sprintf('%dus', Math.round(us)));
+	if (us < 1e6)
+		return (sprintf('%sms', (us / 1e3).toFixed(1)));
+	return (sprintf('%ss', (us / 1e6).toFixed(1)));
+}
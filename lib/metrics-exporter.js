@@ -0,0 +1,305 @@
+/*
+ * lib/metrics-exporter.js: renders the counters and buffer state of a set of
+ * instrumented pipelines as Prometheus text-format metrics or JSON.
+ */
+
+var mod_assertplus = require('assert-plus');
+var mod_url = require('url');
+
+var sprintf = require('extsprintf').sprintf;
+
+var mod_registry = require('./registry');
+
+/* Public interface */
+module.exports = MetricsExporter;
+
+/*
+ * [prefix]			prefix for Prometheus metric names
+ * (string)			(default: "vstream")
+ *
+ * [useRegistry]		if true, also report every pipeline in the
+ * (boolean)			module-level registry (see lib/registry.js),
+ * 				labeled with the name of its head
+ *
+ * Pipelines are added with register().  Each time metrics are rendered, every
+ * stream reachable from each registered stream (see vsWalkGraph()) is reported.
+ */
+function MetricsExporter(args)
+{
+	if (args === undefined)
+		args = {};
+
+	mod_assertplus.object(args, 'args');
+	mod_assertplus.optionalString(args.prefix, 'args.prefix');
+	mod_assertplus.optionalBool(args.useRegistry, 'args.useRegistry');
+
+	this.me_prefix = args.prefix || 'vstream';
+	this.me_useregistry = args.useRegistry === true;
+	this.me_pipelines = {};		/* registered streams, by pipeline */
+}
+
+/*
+ * Register the pipeline containing "stream" under the given name, which is
+ * reported as the "pipeline" label.
+ */
+MetricsExporter.prototype.register = function (name, stream)
+{
+	mod_assertplus.string(name, 'name');
+	mod_assertplus.object(stream, 'stream');
+	mod_assertplus.ok(typeof (stream.vsWalkGraph) == 'function',
+	    'stream has not been instrumented');
+	mod_assertplus.ok(!this.me_pipelines.hasOwnProperty(name),
+	    'pipeline "' + name + '" is already registered');
+
+	this.me_pipelines[name] = stream;
+};
+
+/*
+ * Remove the pipeline registered under the given name.
+ */
+MetricsExporter.prototype.unregister = function (name)
+{
+	mod_assertplus.string(name, 'name');
+	mod_assertplus.ok(this.me_pipelines.hasOwnProperty(name),
+	    'pipeline "' + name + '" is not registered');
+
+	delete (this.me_pipelines[name]);
+};
+
+/*
+ * Returns a plain object describing every registered pipeline.  The object has
+ * a single property, "pipelines", an array of objects with the pipeline's
+ * "name" and its "streams".  Each stream has properties:
+ *
+ *     name	the stream's name, made unique within the pipeline by adding a
+ *     		suffix like "#2" to the second and later streams with the same
+ *     		name
+ *
+ *     kind	see vsGraph()
+ *
+ *     counters	object mapping each counter's name to its "type" and "value"
+ *     		(see vsCounters()), not including warnings
+ *
+ *     warnings	object mapping each kind of warning to its count (see
+ *     		vsWarnings())
+ *
+ *     rbuf	null, or an object with the "length" and "highWaterMark" of
+ *     wbuf	the stream's read or write buffer, respectively
+ */
+MetricsExporter.prototype.toJSON = function ()
+{
+	var pipelines = {};
+
+	if (this.me_useregistry) {
+		mod_registry.heads().forEach(function (head) {
+			pipelines[uniqueName(pipelines, head.vs_name)] = head;
+		});
+	}
+
+	Object.keys(this.me_pipelines).forEach(function (name) {
+		pipelines[name] = this.me_pipelines[name];
+	}, this);
+
+	return ({
+	    'pipelines': Object.keys(pipelines).sort().map(function (name) {
+		return ({
+		    'name': name,
+		    'streams': collectStreams(pipelines[name])
+		});
+	    })
+	});
+};
+
+/*
+ * Returns the metrics for every registered pipeline in the Prometheus text
+ * exposition format.  The following metrics are reported, all labeled with
+ * "pipeline" and "stream":
+ *
+ *     PREFIX_counter_total		counters, labeled with "counter"
+ *
+ *     PREFIX_gauge			gauges and maximums, labeled with
+ *     					"counter"
+ *
+ *     PREFIX_warnings_total		warnings, labeled with "kind"
+ *
+ *     PREFIX_buffer_length		bytes or objects buffered, labeled with
+ *     					"side" ("read" or "write")
+ *
+ *     PREFIX_buffer_high_water_mark	high watermarks, labeled with "side"
+ */
+MetricsExporter.prototype.toPrometheus = function ()
+{
+	var prefix = this.me_prefix;
+	var metrics, order, lines;
+
+	metrics = {};
+	order = [
+	    [ 'counter_total', 'counter', 'vstream counters' ],
+	    [ 'gauge', 'gauge', 'vstream gauges and maximums' ],
+	    [ 'warnings_total', 'counter', 'vstream warnings, by kind' ],
+	    [ 'buffer_length', 'gauge', 'length of stream buffers' ],
+	    [ 'buffer_high_water_mark', 'gauge',
+	        'high watermarks of stream buffers' ]
+	];
+	order.forEach(function (m) { metrics[m[0]] = []; });
+
+	function addBuffer(base, side, buf) {
+		var labels;
+
+		if (buf === null)
+			return;
+
+		labels = base.concat([ [ 'side', side ] ]);
+		metrics['buffer_length'].push([ labels, buf.length ]);
+		metrics['buffer_high_water_mark'].push(
+		    [ labels, buf.highWaterMark ]);
+	}
+
+	this.toJSON().pipelines.forEach(function (p) {
+		p.streams.forEach(function (s) {
+			var base = [ [ 'pipeline', p.name ],
+			    [ 'stream', s.name ] ];
+
+			Object.keys(s.counters).forEach(function (c) {
+				var counter = s.counters[c];
+				var m = counter.type == 'counter' ?
+				    'counter_total' : 'gauge';
+				metrics[m].push([ base.concat(
+				    [ [ 'counter', c ] ]), counter.value ]);
+			});
+
+			Object.keys(s.warnings).forEach(function (k) {
+				metrics['warnings_total'].push([ base.concat(
+				    [ [ 'kind', k ] ]), s.warnings[k] ]);
+			});
+
+			addBuffer(base, 'read', s.rbuf);
+			addBuffer(base, 'write', s.wbuf);
+		});
+	});
+
+	lines = [];
+	order.forEach(function (m) {
+		var name = prefix + '_' + m[0];
+
+		lines.push(sprintf('# HELP %s %s', name, m[2]));
+		lines.push(sprintf('# TYPE %s %s', name, m[1]));
+		metrics[m[0]].forEach(function (sample) {
+			lines.push(sprintf('%s{%s} %s', name,
+			    sample[0].map(function (l) {
+				return (l[0] + '="' +
+				    escapeLabel(l[1]) + '"');
+			    }).join(','), sample[1]));
+		});
+	});
+
+	return (lines.join('\n') + '\n');
+};
+
+/*
+ * Returns a function suitable for use as a request handler for Node's HTTP
+ * server (i.e., a 'request' listener).  The handler responds to GET and HEAD
+ * requests with the Prometheus text format, or with JSON if the request has a
+ * "format=json" query parameter or accepts "application/json" but not
+ * "text/plain".
+ */
+MetricsExporter.prototype.httpHandler = function ()
+{
+	var self = this;
+
+	return (function (request, response) {
+		var query, accept, body, type;
+
+		if (request.method != 'GET' && request.method != 'HEAD') {
+			response.writeHead(405, { 'allow': 'GET, HEAD' });
+			response.end();
+			return;
+		}
+
+		query = mod_url.parse(request.url, true).query;
+		accept = request.headers['accept'] || '';
+		if (query['format'] == 'json' ||
+		    (accept.indexOf('application/json') != -1 &&
+		    accept.indexOf('text/plain') == -1)) {
+			body = JSON.stringify(self.toJSON()) + '\n';
+			type = 'application/json';
+		} else {
+			body = self.toPrometheus();
+			type = 'text/plain; version=0.0.4';
+		}
+
+		response.writeHead(200, {
+		    'content-type': type,
+		    'content-length': Buffer.byteLength(body)
+		});
+		response.end(request.method == 'HEAD' ? undefined : body);
+	});
+};
+
+/*
+ * Returns the description of every stream reachable from "stream" used by
+ * toJSON().
+ */
+function collectStreams(stream)
+{
+	var graph, names, streams, i;
+
+	graph = stream.vsGraph();
+	names = {};
+	streams = [];
+	i = 0;
+
+	stream.vsWalkGraph(function (s) {
+		var node, name, counters, warnings, typed;
+
+		/* Node ids are indexes in vsWalkGraph() order. */
+		node = graph.nodes[i++];
+		name = uniqueName(names, node.name);
+		names[name] = true;
+
+		counters = {};
+		warnings = typeof (s.vsWarnings) == 'function' ?
+		    s.vsWarnings() : {};
+		typed = typeof (s.vsCounters) == 'function' ?
+		    s.vsCounters({ 'types': true }) : {};
+		Object.keys(typed).sort().forEach(function (c) {
+			if (!warnings.hasOwnProperty(c))
+				counters[c] = typed[c];
+		});
+
+		streams.push({
+		    'name': name,
+		    'kind': node.kind,
+		    'counters': counters,
+		    'warnings': warnings,
+		    'rbuf': node.rbuf,
+		    'wbuf': node.wbuf
+		});
+	});
+
+	return (streams);
+}
+
+/*
+ * Returns "name" if it's not already a property of "used", or else "name"
+ * with the first suffix like "#2" that makes it unique.
+ */
+function uniqueName(used, name)
+{
+	var i, rv;
+
+	rv = name;
+	for (i = 2; used.hasOwnProperty(rv); i++)
+		rv = sprintf('%s#%d', name, i);
+
+	return (rv);
+}
+
+/*
+ * Escape a Prometheus label value.
+ */
+function escapeLabel(value)
+{
+	return (String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').
+	    replace(/\n/g, '\\n'));
+}
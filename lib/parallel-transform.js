@@ -0,0 +1,136 @@
+/*
+ * lib/parallel-transform.js: instrumented Transform stream that processes
+ * several inputs at once.
+ */
+
+var mod_assertplus = require('assert-plus');
+var mod_stream = require('stream');
+var mod_util = require('util');
+var mod_vstream = require('./vstream');
+
+/* Public interface */
+module.exports = ParallelTransform;
+
+/*
+ * func				function to process each input, invoked as
+ * (function)			func(chunk, callback).  "callback" is invoked as
+ * 				for _transform(): with an error, or with null
+ * 				and an optional output value.
+ *
+ * [concurrency]		maximum number of inputs to process at once
+ * (number)			(default: 4)
+ *
+ * Other arguments (e.g., "name", "deadLetter", and "provenancePolicy") are
+ * passed to wrapTransform().  The default name is "ParallelTransform".
+ *
+ * Outputs are emitted as soon as they're ready, so they may be in a different
+ * order than the inputs they came from, but each output's provenance describes
+ * its own input (see vsDefer()).  If "func" fails for an input, the error is
+ * reported with that input's provenance: either this stream emits 'error' or,
+ * with "deadLetter", the input is rejected and processing continues.  The
+ * gauge "ninflight" is the number of inputs currently being processed.
+ */
+function ParallelTransform(args)
+{
+	mod_assertplus.object(args, 'args');
+	mod_assertplus.func(args.func, 'args.func');
+	mod_assertplus.optionalNumber(args.concurrency, 'args.concurrency');
+	mod_assertplus.ok(args.concurrency === undefined ||
+	    args.concurrency >= 1, 'args.concurrency must be at least 1');
+
+	mod_stream.Transform.call(this, { 'objectMode': true });
+
+	this.pt_func = args.func;
+	this.pt_concurrency = args.concurrency || 4;
+	this.pt_inflight = 0;		/* inputs being processed */
+	this.pt_blocked = null;		/* callback for input awaiting a slot */
+	this.pt_flush = null;		/* callback for pending _flush() */
+	this.pt_wantread = false;	/* _read() called since last push() */
+
+	mod_vstream.wrapTransform(this, args);
+	this.vsGaugeSet('ninflight', 0);
+}
+
+mod_util.inherits(ParallelTransform, mod_stream.Transform);
+
+ParallelTransform.prototype._transform = function (chunk, _, callback)
+{
+	var self = this;
+	var input = this.vsDefer();
+	var done = false;
+
+	this.pt_inflight++;
+	this.vsGaugeAdd('ninflight', 1);
+	this.pt_func(chunk, function (err, result) {
+		mod_assertplus.ok(!done, 'callback invoked more than once');
+		done = true;
+		self.onDone(input, err, result);
+	});
+
+	/*
+	 * Accept the next input right away unless we're at the concurrency
+	 * limit, in which case we wait for an input to finish.
+	 */
+	if (this.pt_inflight < this.pt_concurrency)
+		callback();
+	else
+		this.pt_blocked = callback;
+};
+
+ParallelTransform.prototype._flush = function (callback)
+{
+	if (this.pt_inflight === 0)
+		callback();
+	else
+		this.pt_flush = callback;
+};
+
+ParallelTransform.prototype._read = function (size)
+{
+	this.pt_wantread = true;
+	mod_stream.Transform.prototype._read.call(this, size);
+};
+
+ParallelTransform.prototype.push = function (chunk)
+{
+	this.pt_wantread = false;
+	return (mod_stream.Transform.prototype.push.call(this, chunk));
+};
+
+/*
+ * Invoked when "func" has finished processing "input" (a DeferredInput).
+ */
+ParallelTransform.prototype.onDone = function (input, err, result)
+{
+	var callback;
+
+	this.pt_inflight--;
+	this.vsGaugeAdd('ninflight', -1);
+
+	if (this.destroyed)
+		return;
+
+	if (err)
+		input.fail(err);
+	else if (result !== undefined && result !== null)
+		input.push(result);
+
+	if (this.pt_blocked !== null) {
+		callback = this.pt_blocked;
+		this.pt_blocked = null;
+		callback();
+
+		/*
+		 * If our read buffer is full, Transform defers that callback
+		 * until the next _read().  If _read() has already been called
+		 * since our last push(), that won't happen until we push
+		 * something else, which may never happen.
+		 */
+		if (this.pt_wantread)
+			mod_stream.Transform.prototype._read.call(this);
+	} else if (this.pt_inflight === 0 && this.pt_flush !== null) {
+		callback = this.pt_flush;
+		this.pt_flush = null;
+		callback();
+	}
+};
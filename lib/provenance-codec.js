@@ -0,0 +1,90 @@
+/*
+ * lib/provenance-codec.js: Transforms that encode values with their provenance
+ * as newline-delimited JSON and decode them again, so that provenance survives
+ * process boundaries.
+ */
+
+var mod_stream = require('stream');
+var mod_util = require('util');
+var mod_vstream = require('./vstream');
+
+/* Public interface */
+exports.ProvenanceEncoder = ProvenanceEncoder;
+exports.ProvenanceDecoder = ProvenanceDecoder;
+
+/*
+ * Transform that encodes each input, along with its provenance, as a single
+ * line of JSON (the output of ProvenanceValue.prototype.toJSON(), followed by
+ * a newline).  The outputs are strings suitable for writing to a file or
+ * socket.  The recorded provenance includes this stream's own step, so the
+ * input index of each record in the encoded stream is preserved.
+ *
+ * "options" are passed to wrapTransform().  The default name is
+ * "ProvenanceEncoder".
+ */
+function ProvenanceEncoder(options)
+{
+	mod_stream.Transform.call(this, { 'objectMode': true });
+	mod_vstream.wrapTransform(this, options);
+}
+
+mod_util.inherits(ProvenanceEncoder, mod_stream.Transform);
+
+ProvenanceEncoder.prototype._transform = function (chunk, _, callback)
+{
+	var line;
+
+	try {
+		line = JSON.stringify(this.vsContext());
+	} catch (ex) {
+		callback(ex);
+		return;
+	}
+
+	callback(null, line + '\n');
+};
+
+/*
+ * Transform that decodes lines written by a ProvenanceEncoder (typically in
+ * another process) and emits the original values.  Inputs are individual lines
+ * as strings or Buffers (e.g., from a LineStream).  Blank lines are ignored.
+ *
+ * When this stream's reader is an instrumented Transform, the provenance of
+ * each output is the provenance recorded by the encoder followed by this
+ * stream's step for the line it was decoded from, so that label() describes
+ * where the value originally came from.  Lines that aren't valid JSON or don't
+ * describe a ProvenanceValue cause this stream to emit 'error' (or, with the
+ * "deadLetter" option, are rejected).
+ *
+ * "options" are passed to wrapTransform().  The default name is
+ * "ProvenanceDecoder".
+ */
+function ProvenanceDecoder(options)
+{
+	mod_stream.Transform.call(this, { 'objectMode': true });
+	mod_vstream.wrapTransform(this, options);
+}
+
+mod_util.inherits(ProvenanceDecoder, mod_stream.Transform);
+
+ProvenanceDecoder.prototype._transform = function (chunk, _, callback)
+{
+	var line, restored;
+
+	line = chunk.toString();
+	if (/^\s*$/.test(line)) {
+		callback();
+		return;
+	}
+
+	try {
+		restored = mod_vstream.ProvenanceValue.fromJSON(
+		    JSON.parse(line));
+	} catch (ex) {
+		callback(ex);
+		return;
+	}
+
+	this.vsPushWith(restored.pv_value, restored);
+	callback();
+};
@@ -0,0 +1,105 @@
+/*
+ * lib/provenance-policy.js: limits on the provenance information kept for
+ * values flowing through instrumented Transforms.
+ */
+
+var mod_assertplus = require('assert-plus');
+
+/* Public interface */
+module.exports = ProvenancePolicy;
+
+/*
+ * [enabled]			if false, Transforms using this policy don't
+ * (boolean)			track provenance at all: they still maintain
+ * 				their counters, but they don't wrap their
+ * 				inputs or outputs in ProvenanceValues.
+ * 				(default: true)
+ *
+ * [maxDepth]			maximum number of steps kept in each value's
+ * (number)			provenance.  When a value's provenance grows
+ * 				past this, the first step and the most recent
+ * 				ones are kept, and the rest are replaced with
+ * 				a single step noting how many were omitted.
+ * 				Must be at least 2.  (default: unlimited)
+ *
+ * [share]			if true, values pushed by a Transform share
+ * (boolean)			the provenance of the input they came from
+ * 				rather than each getting a copy of it, and
+ * 				values pushed for the same input (and with the
+ * 				same metadata) share all of it.  (default: true)
+ *
+ * A policy is attached to an instrumented Transform with the
+ * "provenancePolicy" option to instrumentTransform(), with
+ * vsSetProvenancePolicy(), or to every Transform in a pipeline with
+ * applyToPipeline().  Transforms without a policy keep complete, unshared
+ * provenance for every value.
+ */
+function ProvenancePolicy(args)
+{
+	if (args === undefined)
+		args = {};
+
+	mod_assertplus.object(args, 'args');
+	mod_assertplus.optionalBool(args.enabled, 'args.enabled');
+	mod_assertplus.optionalNumber(args.maxDepth, 'args.maxDepth');
+	mod_assertplus.optionalBool(args.share, 'args.share');
+	mod_assertplus.ok(args.maxDepth === undefined || args.maxDepth >= 2,
+	    'args.maxDepth must be at least 2');
+
+	this.pp_enabled = args.enabled !== false;
+	this.pp_maxdepth = args.maxDepth || null;
+	this.pp_share = args.share !== false;
+}
+
+/*
+ * Returns "chain", an array of provenance steps (see ProvenanceValue in
+ * lib/vstream.js), limited to this policy's maximum depth.  "chain" may be
+ * modified.  Steps omitted from a chain are replaced by a single step with
+ * "pvp_source" null and "pvp_elided" set to the number of steps omitted.  That
+ * step always follows the first one, and it's not counted toward the depth.
+ */
+ProvenancePolicy.prototype.truncate = function (chain)
+{
+	var nsteps, nelided, i, rv;
+
+	if (this.pp_maxdepth === null)
+		return (chain);
+
+	nsteps = 0;
+	nelided = 0;
+	for (i = 0; i < chain.length; i++) {
+		if (chain[i].hasOwnProperty('pvp_elided'))
+			nelided += chain[i].pvp_elided;
+		else
+			nsteps++;
+	}
+
+	if (nsteps <= this.pp_maxdepth)
+		return (chain);
+
+	nelided += nsteps - this.pp_maxdepth;
+	rv = [ chain[0], {
+	    'pvp_source': null,
+	    'pvp_input': null,
+	    'pvp_elided': nelided
+	} ];
+	return (rv.concat(chain.slice(chain.length - (this.pp_maxdepth - 1))));
+};
+
+/*
+ * Attach this policy to every instrumented Transform reachable from "stream"
+ * (see vsWalkGraph()).
+ */
+ProvenancePolicy.prototype.applyToPipeline = function (stream)
+{
+	var self = this;
+
+	mod_assertplus.object(stream, 'stream');
+	mod_assertplus.ok(typeof (stream.vsWalkGraph) == 'function',
+	    'stream has not been instrumented');
+
+	stream.vsWalkGraph(function (s) {
+		if (typeof (s.vsSetProvenancePolicy) == 'function')
+			s.vsSetProvenancePolicy(self);
+	});
+};
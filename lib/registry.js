@@ -0,0 +1,204 @@
+/*
+ * lib/registry.js: module-level registry of instrumented objects, so that
+ * debugging tools (like a signal handler or an HTTP endpoint) can find every
+ * live pipeline without the application having to keep track of them.
+ */
+
+var mod_assertplus = require('assert-plus');
+
+/* Public interface */
+exports.register = register;
+exports.unregister = unregister;
+exports.registered = registered;
+exports.heads = heads;
+exports.find = find;
+exports.dumpAll = dumpAll;
+
+/*
+ * Registered objects.  Where the runtime supports it, we hold these through
+ * WeakRefs so that registering an object doesn't keep it (and the pipeline it
+ * belongs to) alive.  Each entry is either a WeakRef or an object with a
+ * deref() method that returns the object itself.
+ */
+var registry = [];
+var WeakRefImpl = typeof (global.WeakRef) == 'function' ? global.WeakRef :
+    StrongRef;
+
+/*
+ * Stand-in for WeakRef when it's not available.
+ */
+function StrongRef(obj)
+{
+	this.sr_obj = obj;
+}
+
+StrongRef.prototype.deref = function ()
+{
+	return (this.sr_obj);
+};
+
+/*
+ * Add an instrumented object to the registry.  If the object is a stream, it
+ * will be removed from the registry automatically when it's done: when it
+ * emits 'close', when it emits 'end' if it's readable, or when it emits
+ * 'finish' if it's writable but not readable.
+ */
+function register(obj)
+{
+	mod_assertplus.object(obj, 'obj');
+	mod_assertplus.string(obj.vs_name, 'obj has not been instrumented');
+	mod_assertplus.ok(indexOf(obj) == -1, 'object already registered');
+
+	registry.push(new WeakRefImpl(obj));
+
+	if (typeof (obj.once) != 'function')
+		return;
+
+	obj.once('close', onDone);
+	if (obj._readableState)
+		obj.once('end', onDone);
+	else if (obj._writableState)
+		obj.once('finish', onDone);
+}
+
+/*
+ * 'close', 'end', and 'finish' listener for registered streams.
+ */
+function onDone()
+{
+	if (indexOf(this) != -1)
+		unregister(this);
+}
+
+/*
+ * Remove an object from the registry.
+ */
+function unregister(obj)
+{
+	var i = indexOf(obj);
+
+	mod_assertplus.ok(i != -1, 'object not registered');
+	registry.splice(i, 1);
+}
+
+/*
+ * Returns the index of "obj" in the registry (or -1), pruning any entries for
+ * objects that have been garbage collected along the way.
+ */
+function indexOf(obj)
+{
+	var i, o;
+
+	for (i = 0; i < registry.length; i++) {
+		o = registry[i].deref();
+		if (o === undefined) {
+			registry.splice(i--, 1);
+			continue;
+		}
+
+		if (o === obj)
+			return (i);
+	}
+
+	return (-1);
+}
+
+/*
+ * Returns an array of the objects currently registered, in the order they were
+ * registered.
+ */
+function registered()
+{
+	var rv = [];
+
+	indexOf(null);
+	registry.forEach(function (ref) { rv.push(ref.deref()); });
+	return (rv);
+}
+
+/*
+ * Returns an array of the heads of every pipeline that contains a registered
+ * stream.  A head is a stream with no upstreams that's not inside a container
+ * stream.  Remember that a pipeline can have more than one head.
+ */
+function heads()
+{
+	var rv = [];
+
+	eachStream(function (s) {
+		if ((!s.hasOwnProperty('vs_upstreams') ||
+		    s.vs_upstreams.length === 0) && !s.vs_container)
+			rv.push(s);
+	});
+
+	return (rv);
+}
+
+/*
+ * Returns an array of all instrumented objects with the given name that are
+ * registered or are part of a pipeline that contains a registered stream.
+ */
+function find(name)
+{
+	var rv = [];
+
+	mod_assertplus.string(name, 'name');
+	eachStream(function (s) {
+		if (s.vs_name === name)
+			rv.push(s);
+	});
+
+	registered().forEach(function (o) {
+		if (rv.indexOf(o) == -1 && o.vs_name === name)
+			rv.push(o);
+	});
+
+	return (rv);
+}
+
+/*
+ * Write vsDumpDebug() output for every stream in every pipeline that contains a
+ * registered stream to "outstream", with a blank line between pipelines.
+ */
+function dumpAll(outstream)
+{
+	var seen = [];
+	var first = true;
+
+	registered().forEach(function (o) {
+		if (typeof (o.vsWalkGraph) != 'function' ||
+		    seen.indexOf(o) != -1)
+			return;
+
+		if (!first)
+			outstream.write('\n');
+		first = false;
+
+		o.vsWalkGraph(function (s, depth) {
+			seen.push(s);
+			s.vsDumpDebug(outstream, depth);
+		});
+	});
+}
+
+/*
+ * Invoke func(stream) once for each stream in every pipeline that contains a
+ * registered stream.
+ */
+function eachStream(func)
+{
+	var seen = [];
+
+	registered().forEach(function (o) {
+		if (typeof (o.vsWalkGraph) != 'function')
+			return;
+
+		o.vsWalkGraph(function (s) {
+			if (seen.indexOf(s) != -1)
+				return;
+
+			seen.push(s);
+			func(s);
+		});
+	});
+}
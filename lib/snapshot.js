@@ -0,0 +1,295 @@
+/*
+ * lib/snapshot.js: immutable snapshots of a pipeline's state, and comparisons
+ * between them.
+ */
+
+var mod_assertplus = require('assert-plus');
+var mod_streamstate = require('./stream-state');
+
+var sprintf = require('extsprintf').sprintf;
+
+/* Public interface */
+exports.take = take;
+exports.diff = diff;
+exports.render = render;
+
+/*
+ * Returns a frozen snapshot of every stream reachable from "stream" (see
+ * vsWalkGraph()).  This is the graph returned by vsGraph() with two additions:
+ * a "timestamp" property (milliseconds since the epoch), and on each node, a
+ * "state" object with properties:
+ *
+ *     flowing		the readable side's flowing mode (true, false, or null
+ *     			if no consumer has chosen one yet)
+ *
+ *     ended		whether the readable side has been ended (i.e., no more
+ *     			data will be pushed onto it)
+ *
+ *     finished		whether the writable side has finished
+ *
+ *     destroyed	whether the stream has been destroyed
+ *
+ * "flowing" and "ended" are null for streams with no readable side, and
+ * "finished" is null for streams with no writable side.  See
+ * lib/stream-state.js.
+ */
+function take(stream)
+{
+	var graph, streams;
+
+	mod_assertplus.ok(typeof (stream.vsGraph) == 'function',
+	    'stream has not been instrumented');
+
+	/* Node ids are indexes in vsWalkGraph() order. */
+	graph = stream.vsGraph();
+	streams = [];
+	stream.vsWalkGraph(function (s) { streams.push(s); });
+
+	graph.nodes.forEach(function (n, i) {
+		var rs = mod_streamstate.readableState(streams[i]);
+		var ws = mod_streamstate.writableState(streams[i]);
+
+		n.state = {
+		    'flowing': rs !== null ? rs.flowing : null,
+		    'ended': rs !== null ? rs.ended : null,
+		    'finished': ws !== null ? ws.finished : null,
+		    'destroyed': (rs !== null && rs.destroyed) ||
+			(ws !== null && ws.destroyed)
+		};
+	});
+
+	return (deepFreeze({
+	    'timestamp': Date.now(),
+	    'nodes': graph.nodes,
+	    'edges': graph.edges
+	}));
+}
+
+/*
+ * Compare two snapshots returned by take(), where "before" was taken first, and
+ * return a description of what changed.  Streams are matched up by name, in
+ * order, so that streams added to or removed from the pipeline in between
+ * don't confuse the comparison.  The result has properties:
+ *
+ *     elapsed	milliseconds between the two snapshots
+ *
+ *     streams	array with one entry for each stream that changed, in the
+ *     		order of "after" (followed by streams that were removed).
+ *     		Each entry has properties:
+ *
+ *     		name		the stream's name
+ *
+ *     		status		"added" (only in "after"), "removed" (only
+ *     			in "before"), or "changed"
+ *
+ *     		before, after	the stream's node id in each snapshot (or
+ *     			null if it's not present in that snapshot)
+ *
+ *     		counters	object mapping the name of each counter
+ *     			that moved to an object with its "before" and
+ *     			"after" values and the "delta" between them
+ *
+ *     		rbuf, wbuf	null if the corresponding buffer's length
+ *     			didn't change, and otherwise an object with its
+ *     			"before" and "after" lengths, the "delta"
+ *     			between them, and the buffer's "highWaterMark"
+ *
+ *     		state		object mapping each state flag (see
+ *     			take()) that changed to an object with its
+ *     			"before" and "after" values
+ *
+ * Streams that were added are compared as though they previously had no
+ * counters, empty buffers, and null state flags.  Nothing else is reported for
+ * streams that were removed.
+ */
+function diff(before, after)
+{
+	var matched, streams, empty;
+
+	mod_assertplus.object(before, 'before');
+	mod_assertplus.object(after, 'after');
+	mod_assertplus.number(before.timestamp, 'before.timestamp');
+	mod_assertplus.number(after.timestamp, 'after.timestamp');
+
+	matched = [];
+	streams = [];
+	empty = {
+	    'id': null,
+	    'counters': {},
+	    'rbuf': null,
+	    'wbuf': null,
+	    'state': {}
+	};
+
+	after.nodes.forEach(function (anode) {
+		var i, bnode, entry;
+
+		for (i = 0; i < before.nodes.length; i++) {
+			if (matched.indexOf(i) == -1 &&
+			    before.nodes[i].name == anode.name)
+				break;
+		}
+
+		if (i < before.nodes.length) {
+			matched.push(i);
+			bnode = before.nodes[i];
+		} else {
+			bnode = empty;
+		}
+
+		entry = diffNode(bnode, anode);
+		if (bnode === empty)
+			entry.status = 'added';
+		else if (Object.keys(entry.counters).length === 0 &&
+		    entry.rbuf === null && entry.wbuf === null &&
+		    Object.keys(entry.state).length === 0)
+			return;
+
+		streams.push(entry);
+	});
+
+	before.nodes.forEach(function (bnode, i) {
+		if (matched.indexOf(i) != -1)
+			return;
+
+		streams.push({
+		    'name': bnode.name,
+		    'status': 'removed',
+		    'before': bnode.id,
+		    'after': null,
+		    'counters': {},
+		    'rbuf': null,
+		    'wbuf': null,
+		    'state': {}
+		});
+	});
+
+	return ({
+	    'elapsed': after.timestamp - before.timestamp,
+	    'streams': streams
+	});
+}
+
+/*
+ * Compare two snapshot nodes for the same stream.  See diff().
+ */
+function diffNode(bnode, anode)
+{
+	var counters, state;
+
+	counters = {};
+	Object.keys(anode.counters).sort().forEach(function (c) {
+		var b = bnode.counters[c] || 0;
+
+		if (anode.counters[c] != b) {
+			counters[c] = {
+			    'before': b,
+			    'after': anode.counters[c],
+			    'delta': anode.counters[c] - b
+			};
+		}
+	});
+
+	state = {};
+	Object.keys(anode.state).forEach(function (s) {
+		var b = bnode.state.hasOwnProperty(s) ? bnode.state[s] : null;
+
+		if (anode.state[s] !== b)
+			state[s] = { 'before': b, 'after': anode.state[s] };
+	});
+
+	return ({
+	    'name': anode.name,
+	    'status': 'changed',
+	    'before': bnode.id,
+	    'after': anode.id,
+	    'counters': counters,
+	    'rbuf': diffBuffer(bnode.rbuf, anode.rbuf),
+	    'wbuf': diffBuffer(bnode.wbuf, anode.wbuf),
+	    'state': state
+	});
+}
+
+/*
+ * Compare the state of a buffer in two snapshot nodes.  See diff().
+ */
+function diffBuffer(bbuf, abuf)
+{
+	var b;
+
+	if (abuf === null)
+		return (null);
+
+	b = bbuf === null ? 0 : bbuf.length;
+	if (abuf.length == b)
+		return (null);
+
+	return ({
+	    'before': b,
+	    'after': abuf.length,
+	    'delta': abuf.length - b,
+	    'highWaterMark': abuf.highWaterMark
+	});
+}
+
+/*
+ * Returns a human-readable, multi-line summary of a comparison returned by
+ * diff(), with one section per stream that changed.
+ */
+function render(result)
+{
+	var lines;
+
+	mod_assertplus.object(result, 'result');
+
+	if (result.streams.length === 0)
+		return (sprintf('no changes in %d ms\n', result.elapsed));
+
+	lines = [ sprintf('changes in %d ms:', result.elapsed) ];
+	result.streams.forEach(function (entry) {
+		lines.push(entry.status == 'changed' ? entry.name :
+		    sprintf('%s (%s)', entry.name, entry.status));
+
+		Object.keys(entry.counters).forEach(function (c) {
+			var d = entry.counters[c];
+			lines.push(sprintf('    %-16s %s%d (%d -> %d)',
+			    c + ':', d.delta > 0 ? '+' : '', d.delta,
+			    d.before, d.after));
+		});
+
+		[ 'wbuf', 'rbuf' ].forEach(function (which) {
+			var d = entry[which];
+			var verb;
+
+			if (d === null)
+				return;
+
+			verb = d.delta > 0 ? 'grew' :
+			    d.after === 0 ? 'drained' : 'shrank';
+			lines.push(sprintf('    %-16s %s from %d to %d/%d',
+			    which + ':', verb, d.before, d.after,
+			    d.highWaterMark));
+		});
+
+		Object.keys(entry.state).forEach(function (s) {
+			lines.push(sprintf('    %-16s %s -> %s', s + ':',
+			    String(entry.state[s].before),
+			    String(entry.state[s].after)));
+		});
+	});
+
+	return (lines.join('\n') + '\n');
+}
+
+/*
+ * Freeze "obj" and every object reachable from it, and return "obj".
+ */
+function deepFreeze(obj)
+{
+	Object.keys(obj).forEach(function (k) {
+		if (typeof (obj[k]) == 'object' && obj[k] !== null)
+			deepFreeze(obj[k]);
+	});
+
+	return (Object.freeze(obj));
+}
@@ -0,0 +1,225 @@
+/*
+ * lib/stall-detector.js: watchdog that notices when an instrumented pipeline
+ * has stopped making progress and identifies the stream responsible.
+ */
+
+var mod_assertplus = require('assert-plus');
+var mod_events = require('events');
+var mod_util = require('util');
+
+/* Public interface */
+module.exports = StallDetector;
+
+/*
+ * stream			any instrumented stream in the pipeline to
+ * (object)			monitor.  Every stream reachable from this one
+ * 				(see vsWalkGraph()) is monitored.
+ *
+ * timeout			the pipeline is considered stalled if data is
+ * (number)			pending somewhere in the pipeline but no
+ * 				counter or buffer has changed for this many
+ * 				milliseconds
+ *
+ * [interval]			how often to check the pipeline, in
+ * (number)			milliseconds.  Defaults to a quarter of
+ * 				"timeout".
+ *
+ * Once start() is called, the pipeline is checked every "interval" milliseconds
+ * until stop() is called.  When a stall is detected, a 'stall' event is emitted
+ * (see check() for details).  Only one 'stall' event is emitted for each stall.
+ * If the pipeline subsequently makes progress again, a 'resume' event is
+ * emitted.  The detector's timer does not keep the process alive.
+ */
+function StallDetector(args)
+{
+	mod_assertplus.object(args, 'args');
+	mod_assertplus.object(args.stream, 'args.stream');
+	mod_assertplus.ok(typeof (args.stream.vsGraph) == 'function',
+	    'args.stream has not been instrumented');
+	mod_assertplus.number(args.timeout, 'args.timeout');
+	mod_assertplus.optionalNumber(args.interval, 'args.interval');
+
+	mod_events.EventEmitter.call(this);
+
+	this.sd_stream = args.stream;
+	this.sd_timeout = args.timeout;
+	this.sd_interval = args.interval || Math.ceil(args.timeout / 4);
+	this.sd_timer = null;
+	this.sd_state = null;		/* fingerprint of pipeline state */
+	this.sd_progress = Date.now();	/* time of last observed progress */
+	this.sd_stalled = false;	/* whether we've reported a stall */
+}
+
+mod_util.inherits(StallDetector, mod_events.EventEmitter);
+
+/*
+ * Start checking the pipeline periodically.
+ */
+StallDetector.prototype.start = function ()
+{
+	var self = this;
+
+	mod_assertplus.ok(this.sd_timer === null, 'detector already started');
+	this.check();
+	this.sd_timer = setInterval(function () { self.check(); },
+	    this.sd_interval);
+	if (this.sd_timer.unref)
+		this.sd_timer.unref();
+};
+
+/*
+ * Stop checking the pipeline.
+ */
+StallDetector.prototype.stop = function ()
+{
+	mod_assertplus.ok(this.sd_timer !== null, 'detector not started');
+	clearInterval(this.sd_timer);
+	this.sd_timer = null;
+};
+
+/*
+ * Check the pipeline right now.  If it has just stalled, emit 'stall' and
+ * return the same object that's emitted with the event, which has properties:
+ *
+ *     stream	the stream identified as the bottleneck
+ *
+ *     name	the name of that stream
+ *
+ *     reason	"backpressure" if the bottleneck's write buffer is at or above
+ *     		its high watermark even though nothing downstream of it is
+ *     		full, "stalled" if the bottleneck has data buffered on its
+ *     		write side that it isn't processing, or "unconsumed" if the
+ *     		bottleneck is at the end of the pipeline and nothing is reading
+ *     		the data buffered on its read side
+ *
+ *     idle	milliseconds since the pipeline last made progress
+ *
+ *     dump	the output of vsDumpDebug() for every stream in the pipeline,
+ *     		as a string
+ *
+ * Otherwise, returns null.
+ */
+StallDetector.prototype.check = function ()
+{
+	var graph, state, now, idle, bottleneck, streams, rv;
+
+	graph = this.sd_stream.vsGraph();
+	state = JSON.stringify(graph.nodes.map(function (n) {
+		return ([ n.counters, n.rbuf, n.wbuf ]);
+	}));
+	now = Date.now();
+
+	if (state !== this.sd_state) {
+		this.sd_state = state;
+		this.sd_progress = now;
+		if (this.sd_stalled) {
+			this.sd_stalled = false;
+			this.emit('resume');
+		}
+
+		return (null);
+	}
+
+	idle = now - this.sd_progress;
+	if (this.sd_stalled || idle < this.sd_timeout)
+		return (null);
+
+	bottleneck = findBottleneck(graph);
+	if (bottleneck === null)
+		return (null);
+
+	/* Node ids are indexes in vsWalkGraph() order. */
+	streams = [];
+	this.sd_stream.vsWalkGraph(function (s) { streams.push(s); });
+
+	this.sd_stalled = true;
+	rv = {
+	    'stream': streams[bottleneck.id],
+	    'name': graph.nodes[bottleneck.id].name,
+	    'reason': bottleneck.reason,
+	    'idle': idle,
+	    'dump': dumpPipeline(this.sd_stream)
+	};
+
+	this.emit('stall', rv);
+	return (rv);
+};
+
+/*
+ * Given a graph returned by vsGraph(), identify the stream most likely
+ * responsible for the pipeline not making progress.  Returns an object with
+ * the "id" of that stream's node and the "reason" (see check()), or null if no
+ * data is pending anywhere in the pipeline (in which case it's idle, not
+ * stalled).
+ */
+function findBottleneck(graph)
+{
+	var blocked, backpressure, stalled, unconsumed;
+
+	function isFull(buf) {
+		return (buf !== null && buf.length >= buf.highWaterMark);
+	}
+
+	/*
+	 * A stream with data buffered on its write side is only a bottleneck
+	 * if it's not itself waiting on a downstream stream that's full.
+	 * Containers are never bottlenecks themselves, since they just pass
+	 * data through to the streams they contain.
+	 */
+	blocked = graph.nodes.map(function () { return (false); });
+	graph.edges.forEach(function (e) {
+		if (isFull(graph.nodes[e.to].wbuf))
+			blocked[e.from] = true;
+	});
+	graph.nodes.forEach(function (n) {
+		if (n.container !== null)
+			blocked[n.container] = true;
+	});
+
+	backpressure = stalled = unconsumed = null;
+	graph.nodes.forEach(function (n, i) {
+		var hasdownstream;
+
+		if (n.wbuf !== null && n.wbuf.length > 0 && !blocked[i]) {
+			if (isFull(n.wbuf)) {
+				if (backpressure === null)
+					backpressure = i;
+			} else if (stalled === null) {
+				stalled = i;
+			}
+		}
+
+		/*
+		 * The output of a contained stream is consumed by its
+		 * container, even though there's no linkage between them.
+		 */
+		hasdownstream = n.container !== null || graph.edges.some(
+		    function (e) { return (e.from == i); });
+		if (n.rbuf !== null && n.rbuf.length > 0 && !hasdownstream &&
+		    unconsumed === null)
+			unconsumed = i;
+	});
+
+	if (backpressure !== null)
+		return ({ 'id': backpressure, 'reason': 'backpressure' });
+	if (stalled !== null)
+		return ({ 'id': stalled, 'reason': 'stalled' });
+	if (unconsumed !== null)
+		return ({ 'id': unconsumed, 'reason': 'unconsumed' });
+	return (null);
+}
+
+/*
+ * Returns the vsDumpDebug() output for every stream reachable from "stream".
+ */
+function dumpPipeline(stream)
+{
+	var chunks = [];
+	var collector = { 'write': function (c) { chunks.push(c); } };
+
+	stream.vsWalkGraph(function (s, depth) {
+		s.vsDumpDebug(collector, depth);
+	});
+
+	return (chunks.join(''));
+}
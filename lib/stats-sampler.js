@@ -0,0 +1,198 @@
+/*
+ * lib/stats-sampler.js: periodically samples the counters and buffer occupancy
+ * of every stream in a pipeline and computes per-interval rates.
+ */
+
+var mod_assertplus = require('assert-plus');
+var mod_events = require('events');
+var mod_util = require('util');
+
+/* Public interface */
+module.exports = StatsSampler;
+
+/*
+ * stream			any instrumented stream in the pipeline to
+ * (object)			sample.  Every stream reachable from this one
+ * 				(see vsWalkGraph()) is sampled, including
+ * 				streams that are added to the pipeline after
+ * 				sampling has started.
+ *
+ * interval			sampling interval, in milliseconds
+ * (number)
+ *
+ * Once start() is called, a 'sample' event is emitted every "interval"
+ * milliseconds until stop() is called.  The sampler's timer does not keep the
+ * process alive.  See sample() for what each event looks like.
+ */
+function StatsSampler(args)
+{
+	mod_assertplus.object(args, 'args');
+	mod_assertplus.object(args.stream, 'args.stream');
+	mod_assertplus.ok(typeof (args.stream.vsWalkGraph) == 'function',
+	    'args.stream has not been instrumented');
+	mod_assertplus.number(args.interval, 'args.interval');
+	mod_assertplus.ok(args.interval > 0, 'args.interval must be positive');
+
+	mod_events.EventEmitter.call(this);
+
+	this.ss_stream = args.stream;
+	this.ss_interval = args.interval;
+	this.ss_timer = null;
+	this.ss_last = null;		/* time of the last sample */
+	this.ss_streams = [];		/* streams seen in the last sample */
+	this.ss_values = [];		/* values from the last sample */
+}
+
+mod_util.inherits(StatsSampler, mod_events.EventEmitter);
+
+/*
+ * Start emitting periodic 'sample' events.  This records a baseline sample so
+ * that the first event has meaningful deltas.
+ */
+StatsSampler.prototype.start = function ()
+{
+	var self = this;
+
+	mod_assertplus.ok(this.ss_timer === null, 'sampler already started');
+	this.collect();
+	this.ss_timer = setInterval(function () { self.sample(); },
+	    this.ss_interval);
+	if (this.ss_timer.unref)
+		this.ss_timer.unref();
+};
+
+/*
+ * Stop emitting 'sample' events.
+ */
+StatsSampler.prototype.stop = function ()
+{
+	mod_assertplus.ok(this.ss_timer !== null, 'sampler not started');
+	clearInterval(this.ss_timer);
+	this.ss_timer = null;
+};
+
+/*
+ * Take a sample right now, emit it as a 'sample' event, and return it.  The
+ * sample is an object with properties:
+ *
+ *     time	time the sample was taken (a Date)
+ *
+ *     elapsed	milliseconds since the previous sample (null if this is the
+ *     		first sample)
+ *
+ *     streams	array with one entry per stream, each with properties "name",
+ *     		"counters", "rbuf", and "wbuf".  "counters" maps each counter's
+ *     		name to an object with its current "value", its "delta" since
+ *     		the previous sample, and its "rate" of change per second.
+ *     		"rbuf" and "wbuf" are null for streams without a readable or
+ *     		writable side, respectively, and otherwise have the same
+ *     		"value", "delta", and "rate" properties for the buffer's length,
+ *     		plus its "highWaterMark".
+ *
+ * Deltas for streams and counters that weren't present in the previous sample
+ * are computed as though their previous value was zero.  Rates are all zero if
+ * no time has elapsed since the previous sample.
+ */
+StatsSampler.prototype.sample = function ()
+{
+	var prevtime, prevstreams, prevvalues, values, elapsed, streams, rv;
+
+	prevtime = this.ss_last;
+	prevstreams = this.ss_streams;
+	prevvalues = this.ss_values;
+	values = this.collect();
+	elapsed = prevtime === null ? null : this.ss_last - prevtime;
+
+	function delta(current, previous) {
+		var d = current - (previous || 0);
+		return ({
+		    'value': current,
+		    'delta': d,
+		    'rate': elapsed ? d * 1000 / elapsed : 0
+		});
+	}
+
+	function bufdelta(current, previous) {
+		var d;
+
+		if (current === null)
+			return (null);
+
+		d = delta(current.length, previous ? previous.length : 0);
+		d.highWaterMark = current.highWaterMark;
+		return (d);
+	}
+
+	streams = this.ss_streams.map(function (stream, i) {
+		var cur, prev, counters;
+
+		cur = values[i];
+		prev = prevvalues[prevstreams.indexOf(stream)] || {
+		    'counters': {},
+		    'rbuf': null,
+		    'wbuf': null
+		};
+
+		counters = {};
+		Object.keys(cur.counters).sort().forEach(function (c) {
+			counters[c] = delta(cur.counters[c], prev.counters[c]);
+		});
+
+		return ({
+		    'name': cur.name,
+		    'counters': counters,
+		    'rbuf': bufdelta(cur.rbuf, prev.rbuf),
+		    'wbuf': bufdelta(cur.wbuf, prev.wbuf)
+		});
+	});
+
+	rv = {
+	    'time': new Date(this.ss_last),
+	    'elapsed': elapsed,
+	    'streams': streams
+	};
+
+	this.emit('sample', rv);
+	return (rv);
+};
+
+/*
+ * Record the raw counter and buffer values for every stream in the pipeline
+ * and return them.
+ */
+StatsSampler.prototype.collect = function ()
+{
+	var streams = [];
+	var values = [];
+
+	this.ss_stream.vsWalkGraph(function (s) {
+		var instrumented, counters;
+
+		instrumented = typeof (s.vsCounters) == 'function';
+		counters = {};
+		if (instrumented) {
+			Object.keys(s.vsCounters()).forEach(function (c) {
+				counters[c] = s.vsCounters()[c];
+			});
+		}
+
+		streams.push(s);
+		values.push({
+		    'name': instrumented ? s.vsName() : s.constructor.name,
+		    'counters': counters,
+		    'rbuf': s._readableState ? {
+		        'length': s._readableState.length,
+		        'highWaterMark': s._readableState.highWaterMark
+		    } : null,
+		    'wbuf': s._writableState ? {
+		        'length': s._writableState.length,
+		        'highWaterMark': s._writableState.highWaterMark
+		    } : null
+		});
+	});
+
+	this.ss_last = Date.now();
+	this.ss_streams = streams;
+	this.ss_values = values;
+	return (values);
+};
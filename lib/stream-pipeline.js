@@ -43,28 +43,28 @@ function PipelineStream(args)
 	this.ps_tail.on('end', function () { self.push(null); });
 	this.once('finish', function () { self.ps_head.end(); });
 
-	for (i = 0; i < this.ps_streams.length; i++)
-		this.ps_streams[i].on('error', this.emit.bind(this, 'error'));
-
-	if (!args.noPipe) {
-		for (i = 0; i < this.ps_streams.length - 1; i++)
-			this.ps_streams[i].pipe(this.ps_streams[i + 1]);
-	}
+	/*
+	 * Re-emit errors from the streams we contain, making sure they carry
+	 * information about where they came from (see annotateError()).
+	 */
+	this.ps_streams.forEach(function (s) {
+		s.on('error', function (err) {
+			mod_vstream.annotateError(err, s);
+			self.emit('error', err);
+		});
+	});
 
+	/*
+	 * Instrument ourselves (and the streams we contain) before piping them
+	 * together so that the linkages between them get recorded.
+	 */
 	mod_vstream.instrumentObject(this, { 'name': this.constructor.name });
 	mod_vstream.instrumentStream(this);
+	mod_vstream.instrumentContainer(this, this.ps_streams);
 
-	/* XXX should live in vstream */
-	if (this.ps_head.hasOwnProperty('vs_marshalmode')) {
-		this.on('pipe', function (upstream) {
-			if (upstream.hasOwnProperty('ps_streams')) {
-				upstream = upstream.ps_streams[
-				    upstream.ps_streams.length - 1];
-			}
-
-			if (upstream.vs_marshalmode == 'unspecified')
-				upstream.vs_marshalmode = 'marshal';
-		});
+	if (!args.noPipe) {
+		for (i = 0; i < this.ps_streams.length - 1; i++)
+			this.ps_streams[i].pipe(this.ps_streams[i + 1]);
 	}
 }
 
@@ -0,0 +1,142 @@
+/*
+ * lib/stream-state.js: reports the internal state of Node streams (whether
+ * they're flowing, ended, corked, and so on) in a form that doesn't depend on
+ * the version of Node.
+ *
+ * Most of this state lives in the private _readableState and _writableState
+ * objects, whose fields have changed across Node versions.  Newer versions
+ * expose much of it through public properties (like "writableCorked"), so we
+ * use those where they exist and fall back to the private fields otherwise.
+ */
+
+/* Public interface */
+exports.readableState = readableState;
+exports.writableState = writableState;
+
+/*
+ * Returns null if "stream" has no readable side, and otherwise an object
+ * describing the state of its readable side:
+ *
+ *     flowing		true if the stream is flowing, false if it has been
+ *     			paused, or null if no consumer has chosen a mode yet
+ *
+ *     ended		whether the end of the data has been pushed (i.e., no
+ *     			more data will be pushed)
+ *
+ *     endEmitted	whether 'end' has been emitted (i.e., the data has also
+ *     			all been consumed)
+ *
+ *     objectMode	whether the readable side is in object mode
+ *
+ *     pipesCount	number of streams this stream is piped to
+ *
+ *     destroyed	whether the stream has been destroyed
+ */
+function readableState(stream)
+{
+	var state = stream._readableState;
+
+	if (!state)
+		return (null);
+
+	return ({
+	    'flowing': pick(stream, 'readableFlowing', state, 'flowing', null),
+	    'ended': state.ended === true,
+	    'endEmitted': pick(stream, 'readableEnded', state, 'endEmitted',
+		false),
+	    'objectMode': pick(stream, 'readableObjectMode', state,
+		'objectMode', false),
+	    'pipesCount': pipesCount(state),
+	    'destroyed': destroyed(stream, state)
+	});
+}
+
+/*
+ * Returns null if "stream" has no writable side, and otherwise an object
+ * describing the state of its writable side:
+ *
+ *     ending		whether end() has been called
+ *
+ *     finished		whether 'finish' has been emitted (i.e., everything
+ *     			written has also been processed)
+ *
+ *     corked		number of times cork() has been called without a
+ *     			corresponding uncork()
+ *
+ *     needDrain	whether write() has returned false and 'drain' has not
+ *     			yet been emitted
+ *
+ *     objectMode	whether the writable side is in object mode
+ *
+ *     destroyed	whether the stream has been destroyed
+ */
+function writableState(stream)
+{
+	var state = stream._writableState;
+
+	if (!state)
+		return (null);
+
+	return ({
+	    'ending': pick(stream, 'writableEnded', state, 'ending', false),
+	    'finished': pick(stream, 'writableFinished', state, 'finished',
+		false),
+	    'corked': pick(stream, 'writableCorked', state, 'corked', 0),
+	    'needDrain': pick(stream, 'writableNeedDrain', state, 'needDrain',
+		false),
+	    'objectMode': pick(stream, 'writableObjectMode', state,
+		'objectMode', false),
+	    'destroyed': destroyed(stream, state)
+	});
+}
+
+/*
+ * Returns the value of the public property "pubname" of "stream" if it has
+ * one, or else the value of the field "field" of its internal "state", or else
+ * "dflt".  Null is only a legitimate value for "flowing", so a public property
+ * that's undefined or null (as for a property that's been added to a prototype
+ * but not supported by this stream) is ignored unless "dflt" is null.
+ */
+function pick(stream, pubname, state, field, dflt)
+{
+	var value;
+
+	value = stream[pubname];
+	if (value !== undefined && (value !== null || dflt === null))
+		return (value);
+
+	value = state[field];
+	if (value !== undefined && (value !== null || dflt === null))
+		return (value);
+
+	return (dflt);
+}
+
+/*
+ * Returns the number of streams a readable stream is piped to.  Before Node
+ * 14, this was tracked in "pipesCount", and "pipes" was either null, a single
+ * stream, or an array.  Since then, "pipes" is always an array.
+ */
+function pipesCount(state)
+{
+	if (typeof (state.pipesCount) == 'number')
+		return (state.pipesCount);
+
+	if (Array.isArray(state.pipes))
+		return (state.pipes.length);
+
+	return (state.pipes ? 1 : 0);
+}
+
+/*
+ * Returns whether a stream has been destroyed.  Since Node 8, streams have a
+ * "destroyed" property, and the state objects have a "destroyed" field.  Before
+ * that, streams couldn't be destroyed.
+ */
+function destroyed(stream, state)
+{
+	if (typeof (stream.destroyed) == 'boolean')
+		return (stream.destroyed);
+
+	return (state.destroyed === true);
+}
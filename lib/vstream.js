@@ -3,22 +3,67 @@
  */
 
 var mod_assertplus = require('assert-plus');
+var mod_stream = require('stream');
 var mod_util = require('util');
 
 var sprintf = require('extsprintf').sprintf;
 
+var LatencyHistogram = require('./latency-histogram');
+var mod_registry = require('./registry');
+var mod_snapshot = require('./snapshot');
+var mod_streamstate = require('./stream-state');
+var WarningPolicy = require('./warning-policy');
+var ProvenancePolicy = require('./provenance-policy');
+
 
 /* High-level interfaces for wrapping existing streams and transforms. */
 exports.wrapStream = wrapStream;
 exports.wrapTransform = wrapTransform;
+exports.wrapWritable = wrapWritable;
+exports.wrapReadable = wrapReadable;
 
 /* Low-level interfaces for instrumenting objects, streams, and transforms */
 exports.instrumentObject = instrumentObject;
 exports.instrumentStream = instrumentStream;
 exports.instrumentTransform = instrumentTransform;
+exports.instrumentWritable = instrumentWritable;
+exports.instrumentReadable = instrumentReadable;
+exports.instrumentContainer = instrumentContainer;
+
+/* Provenance information attached to errors */
+exports.errorContext = errorContext;
+exports.annotateError = annotateError;
+
+/* Module-level registry of instrumented objects */
+exports.registerObject = mod_registry.register;
+exports.unregisterObject = mod_registry.unregister;
+exports.registeredObjects = mod_registry.registered;
+exports.registeredHeads = mod_registry.heads;
+exports.findByName = mod_registry.find;
+exports.dumpRegistered = mod_registry.dumpAll;
+
+/* Comparing pipeline snapshots (see vsSnapshot()) */
+exports.diffSnapshots = mod_snapshot.diff;
+exports.renderSnapshotDiff = mod_snapshot.render;
+
+/* Async iterator, promise, and pipeline interfaces */
+exports.iterate = require('./async').iterate;
+exports.runPipeline = require('./async').runPipeline;
+exports.pipeline = require('./async').pipeline;
 
 /* Other classes */
 exports.PipelineStream = require('./stream-pipeline');
+exports.GeneratorStream = require('./generator-stream');
+exports.ParallelTransform = require('./parallel-transform');
+exports.StatsSampler = require('./stats-sampler');
+exports.StallDetector = require('./stall-detector');
+exports.LatencyHistogram = LatencyHistogram;
+exports.MetricsExporter = require('./metrics-exporter');
+exports.WarningPolicy = WarningPolicy;
+exports.ProvenanceValue = ProvenanceValue;
+exports.ProvenancePolicy = ProvenancePolicy;
+exports.ProvenanceEncoder = require('./provenance-codec').ProvenanceEncoder;
+exports.ProvenanceDecoder = require('./provenance-codec').ProvenanceDecoder;
 
 
 /*
@@ -30,7 +75,10 @@ function isInstrumented(obj)
 }
 
 /*
- * Convenience function for instrumenting a stream.
+ * Convenience function for instrumenting a stream.  "options" may be a string
+ * (the stream's name) or an object with optional properties "name" (defaults
+ * to the name of the stream's constructor), "register" and "warningPolicy"
+ * (see instrumentObject()), and "countData" (see instrumentStream()).
  */
 function wrapStream(stream, options)
 {
@@ -38,18 +86,46 @@ function wrapStream(stream, options)
 		options = { 'name': stream.constructor.name };
 	else if (typeof (options) == 'string')
 		options = { 'name': options };
+	else if (options.name === undefined)
+		options = extend(extend({}, options),
+		    { 'name': stream.constructor.name });
 	instrumentObject(stream, options);
-	instrumentStream(stream);
+	instrumentStream(stream, options);
 	return (stream);
 }
 
 /*
- * Convenience function for instrumenting a Transform stream.
+ * Convenience function for instrumenting a Transform stream.  "options" are as
+ * for wrapStream(), plus "deadLetter" and "provenancePolicy" (see
+ * instrumentTransform()).
  */
 function wrapTransform(stream, options)
 {
 	stream = wrapStream(stream, options);
-	instrumentTransform(stream);
+	instrumentTransform(stream,
+	    typeof (options) == 'object' ? options : undefined);
+	return (stream);
+}
+
+/*
+ * Convenience function for instrumenting a Writable stream at the end of a
+ * pipeline (like a file or socket).  "options" are as for wrapStream().
+ */
+function wrapWritable(stream, options)
+{
+	stream = wrapStream(stream, options);
+	instrumentWritable(stream);
+	return (stream);
+}
+
+/*
+ * Convenience function for instrumenting a Readable stream at the head of a
+ * pipeline (like a database query).  "options" are as for wrapStream().
+ */
+function wrapReadable(stream, options)
+{
+	stream = wrapStream(stream, options);
+	instrumentReadable(stream);
 	return (stream);
 }
 
@@ -64,6 +140,13 @@ function wrapTransform(stream, options)
  * vs_* namespace (snake_cased, conventional with C-style fields), and public
  * methods are added in the vs* namespace (camel-cased, conventional with the
  * rest of JavaScript)
+ *
+ * If "args.register" is true, the object is also added to the module-level
+ * registry (see lib/registry.js) so that it can be found later without a
+ * reference to it.  "args.warningPolicy" may be a WarningPolicy to apply to
+ * the object's warnings (see vsWarn()).  "args.log" may be a bunyan logger (or
+ * any object with the same trace(), debug(), warn(), and error() methods) used
+ * to log the object's activity (see vsSetLog()).
  */
 function instrumentObject(obj, args)
 {
@@ -71,44 +154,161 @@ function instrumentObject(obj, args)
 	mod_assertplus.ok(!isInstrumented(obj), 'object already instrumented');
 	mod_assertplus.object(args, 'args');
 	mod_assertplus.string(args.name, 'args.name');
+	mod_assertplus.optionalBool(args.register, 'args.register');
+	mod_assertplus.ok(args.warningPolicy === undefined ||
+	    args.warningPolicy instanceof WarningPolicy,
+	    'args.warningPolicy must be a WarningPolicy');
+	mod_assertplus.optionalObject(args.log, 'args.log');
 
 	/* private fields */
 	obj.vs_name = args.name;	/* label for display to developers */
 	obj.vs_counters = {};		/* named, numeric counters */
+	obj.vs_countertypes = {};	/* type of each counter (see below) */
+	obj.vs_warnkinds = {};		/* kinds of warnings emitted */
+	obj.vs_warnpolicy = args.warningPolicy || null;	/* see vsWarn() */
+	obj.vs_log = args.log || null;	/* bunyan logger (see vsSetLog()) */
 	obj.vs_context = null;		/* current context (general purpose) */
 
 	/* public methods */
 	obj.vsName = vsName;			/* get name */
 	obj.vsCounters = vsCounters;		/* get counter values */
 	obj.vsCounterBump = vsCounterBump;	/* bump named counter */
+	obj.vsCounterAdd = vsCounterAdd;	/* add to named counter */
+	obj.vsGaugeSet = vsGaugeSet;		/* set named gauge */
+	obj.vsGaugeAdd = vsGaugeAdd;		/* adjust named gauge */
+	obj.vsMaxRecord = vsMaxRecord;		/* update named maximum */
 	obj.vsWarn = vsWarn;			/* emit warning (counted) */
+	obj.vsWarnings = vsWarnings;		/* get warning counts */
+	obj.vsSetWarningPolicy = vsSetWarningPolicy;	/* limit warnings */
+	obj.vsSetLog = vsSetLog;		/* set logger */
+
+	if (args.register)
+		mod_registry.register(obj);
+}
+
+/*
+ * Each counter has one of the following types, which is fixed when the counter
+ * is first used:
+ *
+ *     counter	a total that only goes up, like the number of inputs processed
+ *     		or bytes written (see vsCounterBump() and vsCounterAdd())
+ *
+ *     gauge	a current level that can go up or down, like the depth of a
+ *     		queue (see vsGaugeSet() and vsGaugeAdd())
+ *
+ *     max	the largest value observed, like the peak depth of a queue (see
+ *     		vsMaxRecord())
+ *
+ * Counters are updated for every chunk that passes through an instrumented
+ * stream, so the name and type are only validated when the counter is created,
+ * and values are checked with plain "typeof" rather than assert-plus, whose
+ * type-checking functions are far too slow to call that often.
+ */
+function counterInit(obj, name, type)
+{
+	if (obj.vs_countertypes[name] === type)
+		return;
+
+	mod_assertplus.string(name, 'name');
+	mod_assertplus.ok(!obj.vs_counters.hasOwnProperty(name),
+	    'counter "' + name + '" is a ' + obj.vs_countertypes[name] +
+	    ', not a ' + type);
+	obj.vs_counters[name] = 0;
+	obj.vs_countertypes[name] = type;
 }
 
 function vsCounterBump(name)
 {
-	if (!this.vs_counters.hasOwnProperty(name))
-		this.vs_counters[name] = 0;
+	counterInit(this, name, 'counter');
 	this.vs_counters[name]++;
 }
 
+function vsCounterAdd(name, amount)
+{
+	mod_assertplus.ok(typeof (amount) == 'number',
+	    'amount (number) is required');
+	mod_assertplus.ok(amount >= 0, 'counters cannot be decremented');
+	counterInit(this, name, 'counter');
+	this.vs_counters[name] += amount;
+}
+
+function vsGaugeSet(name, value)
+{
+	mod_assertplus.ok(typeof (value) == 'number',
+	    'value (number) is required');
+	counterInit(this, name, 'gauge');
+	this.vs_counters[name] = value;
+}
+
+function vsGaugeAdd(name, delta)
+{
+	mod_assertplus.ok(typeof (delta) == 'number',
+	    'delta (number) is required');
+	counterInit(this, name, 'gauge');
+	this.vs_counters[name] += delta;
+}
+
+function vsMaxRecord(name, value)
+{
+	mod_assertplus.ok(typeof (value) == 'number',
+	    'value (number) is required');
+	counterInit(this, name, 'max');
+	if (value > this.vs_counters[name])
+		this.vs_counters[name] = value;
+}
+
 function vsName()
 {
 	return (this.vs_name);
 }
 
-function vsCounters()
+/*
+ * Returns an object mapping each counter's name to its value.  If
+ * "options.types" is true, each counter's name instead maps to an object with
+ * the counter's "type" and "value".
+ */
+function vsCounters(options)
+{
+	var self = this;
+	var rv;
+
+	if (!options || !options.types)
+		return (this.vs_counters);
+
+	rv = {};
+	Object.keys(this.vs_counters).forEach(function (c) {
+		rv[c] = {
+		    'type': self.vs_countertypes[c],
+		    'value': self.vs_counters[c]
+		};
+	});
+	return (rv);
+}
+
+/*
+ * Returns the suffix used to identify a counter's type in debug output.  Plain
+ * counters have no suffix.
+ */
+function counterSuffix(obj, name)
 {
-	return (this.vs_counters);
+	var type = obj.vs_countertypes[name];
+	return (type == 'counter' ? '' : ' (' + type + ')');
 }
 
 /*
  * Warnings are non-fatal errors classified by "kind".  The caller can choose to
  * listen for them, in which case additional context is provided if available.
  * Either way, we bump a "kind"-specific counter.
+ *
+ * If the object has a WarningPolicy, the policy may suppress the 'warn' event,
+ * and it may escalate the warning to an 'error' event.  The Error emitted in
+ * that case has properties "kind", "cause" (the Error that was passed to
+ * vsWarn()), "context" (the current ProvenanceValue, if any), and "counts"
+ * (see WarningPolicy.prototype.counts()).
  */
 function vsWarn(err, kind)
 {
-	var context;
+	var context, action, escalated;
 
 	mod_assertplus.ok(isInstrumented(this),
 	    'vsWarn() on uninstrumented stream');
@@ -119,19 +319,191 @@ function vsWarn(err, kind)
 	context = this.vs_context === null ?
 	    null : this.vs_context.withSource(this);
 
+	this.vs_warnkinds[kind] = true;
 	this.vsCounterBump(kind);
-	this.emit('warn', context, kind, err);
+
+	action = this.vs_warnpolicy === null ?
+	    { 'emit': true, 'escalate': null } :
+	    this.vs_warnpolicy.check(kind);
+	if (action.emit) {
+		vsLog(this, 'warn', this.vs_context,
+		    { 'kind': kind, 'err': err }, 'warning');
+		this.emit('warn', context, kind, err);
+	}
+
+	if (action.escalate !== null) {
+		escalated = new Error(sprintf('%s: %s: %s', this.vs_name,
+		    action.escalate, err.message));
+		escalated.kind = kind;
+		escalated.cause = err;
+		escalated.context = context;
+		escalated.counts = this.vs_warnpolicy.counts();
+		vsLog(this, 'error', this.vs_context,
+		    { 'kind': kind, 'err': escalated }, 'too many warnings');
+		this.emit('error', escalated);
+	}
+}
+
+/*
+ * Set (or, if "policy" is null, remove) the WarningPolicy for this object.
+ */
+function vsSetWarningPolicy(policy)
+{
+	mod_assertplus.ok(policy === null || policy instanceof WarningPolicy,
+	    'policy must be a WarningPolicy or null');
+	this.vs_warnpolicy = policy;
+}
+
+/*
+ * Set (or, if "log" is null, remove) the logger for this object.  The logger
+ * may be a bunyan logger or any object with the same trace(), debug(), warn(),
+ * and error() methods.  Each record logged has the object's name in the
+ * "stream" field and a snapshot of its counters in "counters", plus the label
+ * of the current ProvenanceValue (if any) in "provenance".  The following are
+ * logged:
+ *
+ *     warn	each warning emitted (see vsWarn()), with "kind" and "err"
+ *
+ *     error	each warning escalated by a WarningPolicy, and each error
+ *     		reported by the underlying _transform() or _flush() of an
+ *     		instrumented Transform, with "err"
+ *
+ *     debug	calls to the underlying _flush() and the end of each
+ *     		stream's readable or writable side
+ *
+ *     trace	each call to the underlying _transform(), with "input" (the
+ *     		index of the input)
+ *
+ * If "options.pipeline" is true, the logger is set on every instrumented object
+ * reachable from this stream (see vsWalkGraph()).  Either way, streams that
+ * don't have a logger inherit one from the streams they're piped to or from.
+ */
+function vsSetLog(log, options)
+{
+	mod_assertplus.ok(log === null || typeof (log) == 'object',
+	    'log must be an object or null');
+	mod_assertplus.optionalObject(options, 'options');
+	if (options)
+		mod_assertplus.optionalBool(options.pipeline,
+		    'options.pipeline');
+
+	if (!options || !options.pipeline) {
+		this.vs_log = log;
+		return;
+	}
+
+	mod_assertplus.ok(typeof (this.vsWalkGraph) == 'function',
+	    'object is not an instrumented stream');
+	this.vsWalkGraph(function (s) {
+		if (isInstrumented(s))
+			s.vs_log = log;
+	});
+}
+
+/*
+ * Log a record at the given level for instrumented object "obj" if it has a
+ * logger.  See vsSetLog().  "context" is the ProvenanceValue being processed by
+ * "obj", if any.  Trace records are only constructed if the logger reports that
+ * trace-level logging is enabled.
+ */
+function vsLog(obj, level, context, fields, msg)
+{
+	var log = obj.vs_log;
+	var record;
+
+	if (log === null || typeof (log[level]) != 'function')
+		return;
+
+	if (level == 'trace' && log.trace() === false)
+		return;
+
+	record = extend({
+	    'stream': obj.vs_name,
+	    'counters': extend({}, obj.vs_counters)
+	}, fields);
+	if (context !== null)
+		record.provenance = context.withSource(obj).label();
+
+	log[level](record, msg);
+}
+
+/*
+ * Returns an object mapping each kind of warning emitted by this object to the
+ * number of warnings of that kind.  These are also included in vsCounters().
+ */
+function vsWarnings()
+{
+	var self = this;
+	var rv = {};
+
+	Object.keys(this.vs_warnkinds).forEach(function (kind) {
+		rv[kind] = self.vs_counters[kind];
+	});
+
+	return (rv);
 }
 
 
 /*
- * Instruments a stream.  This adds forward and back pointers on pipe().
+ * Instruments a stream.  This adds forward and back pointers on pipe() and
+ * tracks the peak occupancy of the stream's buffers (see below).  If
+ * "options.countData" is true, then the stream also counts the chunks written
+ * to it ("nchunksin") and pushed by it ("nchunksout"), and for chunks that are
+ * Buffers or strings, the corresponding number of bytes ("nbytesin" and
+ * "nbytesout").
  */
-function instrumentStream(stream)
+function instrumentStream(stream, options)
 {
 	mod_assertplus.ok(isInstrumented(stream),
 	    'attempted to instrument pipeline ops on uninstrumented stream');
+	mod_assertplus.optionalObject(options, 'options');
+	if (options)
+		mod_assertplus.optionalBool(options.countData,
+		    'options.countData');
+
+	instrumentLinks(stream);
 
+	/* private fields */
+	stream.vs_countdata = options ? options.countData === true : false;
+
+	/*
+	 * Track the peak occupancy of the read and write buffers in "maxrbuf"
+	 * and "maxwbuf".  The buffers can only grow when data is pushed onto
+	 * the read side or written to the write side, so that's where we check.
+	 * This is also where we count data, if requested.
+	 */
+	if (stream._readableState && typeof (stream.push) == 'function') {
+		stream.vs_streampush = stream.push;
+		stream.push = vsStreamPush;
+	}
+
+	if (stream._writableState && typeof (stream.write) == 'function') {
+		stream.vs_streamwrite = stream.write;
+		stream.write = vsStreamWrite;
+		wrapEnd(stream);
+	}
+}
+
+/*
+ * Instruments a stream that we came across without being asked to (because it
+ * was piped to or from an instrumented stream, or put into a container).  We
+ * record its linkages so that it shows up in the pipeline, but unlike
+ * instrumentStream(), we leave its push() and write() methods alone.
+ */
+function instrumentPeer(stream)
+{
+	mod_assertplus.ok(!stream.hasOwnProperty('vs_downstreams'));
+	if (!isInstrumented(stream))
+		instrumentObject(stream, { 'name': stream.constructor.name });
+	instrumentLinks(stream);
+}
+
+/*
+ * Add the linkage fields and methods to an instrumented stream.  See
+ * instrumentStream() and instrumentPeer().
+ */
+function instrumentLinks(stream)
+{
 	/* private fields */
 	stream.vs_upstreams = [];	/* upstream streams */
 	stream.vs_downstreams = [];	/* downstream streams */
@@ -147,6 +519,18 @@ function instrumentStream(stream)
 	stream.vsWalk = vsWalk;
 	stream.vsDumpCounters = vsDumpCounters;
 	stream.vsDumpDebug = vsDumpDebug;
+	stream.vsWalkGraph = vsWalkGraph;
+	stream.vsGraph = vsGraph;
+	stream.vsDumpGraph = vsDumpGraph;
+	stream.vsSnapshot = vsSnapshot;
+
+	/* Log the end of each side of the stream.  See vsSetLog(). */
+	stream.on('end', function () {
+		vsLog(stream, 'debug', null, { 'side': 'read' }, 'end');
+	});
+	stream.on('finish', function () {
+		vsLog(stream, 'debug', null, { 'side': 'write' }, 'finish');
+	});
 
 	/*
 	 * Add a pipe() handler to this stream so that when something is piped
@@ -159,33 +543,108 @@ function instrumentStream(stream)
 	 * flow has ended.
 	 */
 	stream.on('pipe', function (source) {
-		if (!isInstrumented(source)) {
-			mod_assertplus.ok(
-			    !source.hasOwnProperty('vs_downstreams'));
-			instrumentObject(source,
-			    { 'name': source.constructor.name });
-			instrumentStream(source);
-		}
+		if (!isInstrumented(source))
+			instrumentPeer(source);
 
 		source.vsRecordPipe(stream);
 	});
 }
 
+/*
+ * Proxy method for push() on instrumented streams.  See instrumentStream().
+ */
+function vsStreamPush(chunk, encoding)
+{
+	var rv;
+
+	if (this.vs_countdata && chunk !== null && chunk !== undefined)
+		countData(this, 'out', chunk, encoding);
+
+	rv = this.vs_streampush.apply(this, arguments);
+	this.vsMaxRecord('maxrbuf', this._readableState.length);
+	return (rv);
+}
+
+/*
+ * Proxy method for write() on instrumented streams.  See instrumentStream().
+ */
+function vsStreamWrite(chunk, encoding)
+{
+	var rv;
+
+	if (this.vs_countdata)
+		countData(this, 'in', chunk, encoding);
+
+	rv = this.vs_streamwrite.apply(this, arguments);
+	this.vsMaxRecord('maxwbuf', this._writableState.length);
+	return (rv);
+}
+
+/*
+ * Since Node 15, end(chunk) no longer writes "chunk" by calling write(), so it
+ * would bypass our proxies for write() (see vsStreamWrite() and vsSinkWrite()).
+ * Replace end() on "stream" (unless that's already been done) with a version
+ * that writes the chunk with write() itself, as older versions did.
+ */
+function wrapEnd(stream)
+{
+	if (stream.hasOwnProperty('vs_streamend'))
+		return;
+
+	stream.vs_streamend = stream.end;
+	stream.end = vsStreamEnd;
+}
+
+/*
+ * Proxy method for end() on instrumented streams.  See wrapEnd().
+ */
+function vsStreamEnd(chunk, encoding, callback)
+{
+	if (chunk === null || chunk === undefined ||
+	    typeof (chunk) == 'function')
+		return (this.vs_streamend.apply(this, arguments));
+
+	if (typeof (encoding) == 'function') {
+		callback = encoding;
+		encoding = undefined;
+	}
+
+	this.write(chunk, encoding);
+	return (this.vs_streamend(callback));
+}
+
+/*
+ * Bump the chunk and byte counters for the given direction ("in" or "out").
+ */
+function countData(stream, direction, chunk, encoding)
+{
+	var value = chunk instanceof ProvenanceValue ? chunk.pv_value : chunk;
+
+	stream.vsCounterBump('nchunks' + direction);
+	if (Buffer.isBuffer(value)) {
+		stream.vsCounterAdd('nbytes' + direction, value.length);
+	} else if (typeof (value) == 'string') {
+		stream.vsCounterAdd('nbytes' + direction, Buffer.byteLength(
+		    value, typeof (encoding) == 'string' ? encoding : 'utf8'));
+	}
+}
+
 /*
  * Record an upstream-downstream relationship that isn't handled by pipe().
  */
 function vsRecordPipe(downstream)
 {
-	if (!isInstrumented(downstream)) {
-		mod_assertplus.ok(
-		    !downstream.hasOwnProperty('vs_upstreams'));
-		instrumentObject(downstream,
-		    { 'name': downstream.constructor.name });
-		instrumentStream(downstream);
-	}
+	if (!isInstrumented(downstream))
+		instrumentPeer(downstream);
 
 	this.vs_downstreams.push(downstream);
 	downstream.vs_upstreams.push(this);
+
+	/* Streams without a logger inherit one.  See vsSetLog(). */
+	if (this.vs_log === null)
+		this.vs_log = downstream.vs_log;
+	else if (downstream.vs_log === null)
+		downstream.vs_log = this.vs_log;
 }
 
 /*
@@ -262,15 +721,8 @@ function vsWalk(func, depth)
 	while (stream !== null) {
 		func(stream, depth);
 
-		/*
-		 * XXX pipeline stream needs to move into this package to avoid
-		 * gross interface violations.
-		 * XXX doesn't handle nested pipelines
-		 */
-		if (stream !== null && stream.ps_streams !== undefined) {
-			stream.ps_streams.forEach(
-			    function (s) { func(s, depth + 1); });
-		}
+		if (isContainer(stream))
+			walkContents(stream, func, depth + 1);
 
 		stream = stream.hasOwnProperty('vs_downstreams') &&
 		    stream.vs_downstreams.length > 0 ?
@@ -279,296 +731,2133 @@ function vsWalk(func, depth)
 }
 
 /*
- * Dump debug information about a stream.
+ * Invoke func(stream, depth) for each stream contained in "container", in
+ * order, recursing into nested containers.
  */
-function vsDumpDebug(outstream, indentlen, options)
+function walkContents(container, func, depth)
 {
-	var i, kind, name, comments, counters, fmt;
-	var stream = this;
-	var indent = '';
+	container.vs_contents.forEach(function (s) {
+		func(s, depth);
+		if (isContainer(s))
+			walkContents(s, func, depth + 1);
+	});
+}
 
-	if (indentlen) {
-		for (i = 0; i < indentlen; i++)
-			indent += '    ';
-	}
+/*
+ * Invoke "func" exactly once for each stream reachable from "stream", following
+ * every upstream and downstream linkage (not just the first one, as vsHead()
+ * and vsWalk() do), the streams inside each container, and the container of
+ * each contained stream.  "func" is invoked as func(stream, depth, container),
+ * where "container" is the container stream that directly contains "stream"
+ * (or null if there isn't one) and "depth" is the number of containers that
+ * enclose "stream".  Streams reached this way need not be instrumented.
+ */
+function vsWalkGraph(func)
+{
+	/*
+	 * Like vsRecordUnpipe(), this is O(N^2) in the number of streams, but N
+	 * should be small and this is not supposed to be a hot path.
+	 */
+	var seen, queue, stream, container, depth, c;
 
-	if (!options)
-		options = {
-		    'showKind': true,
-		    'showBufferInfo': true
-		};
+	mod_assertplus.ok(Array.isArray(this.vs_downstreams),
+	    'stream has not been instrumented');
 
-	comments = [];
+	seen = [ this ];
+	queue = [ this ];
 
-	if (options.showKind) {
-		if (this._readableState) {
-			if (this._writableState)
-				kind = 'duplex';
-			else
-				kind = 'readable';
-		} else if (this._writableState) {
-			kind = 'writable';
-		} else {
-			kind = 'unknown';
-		}
-		comments.push(kind);
+	function visit(s) {
+		if (seen.indexOf(s) != -1)
+			return;
+
+		seen.push(s);
+		queue.push(s);
 	}
 
-	mod_assertplus.ok(isInstrumented(this));
-	name = this.vsName();
+	while (queue.length > 0) {
+		stream = queue.shift();
+		container = stream.vs_container || null;
+		depth = 0;
+		for (c = container; c; c = c.vs_container)
+			depth++;
+
+		func(stream, depth, container);
+
+		if (stream.hasOwnProperty('vs_upstreams'))
+			stream.vs_upstreams.forEach(visit);
+		if (stream.hasOwnProperty('vs_downstreams'))
+			stream.vs_downstreams.forEach(visit);
+		if (isContainer(stream))
+			stream.vs_contents.forEach(visit);
+		if (container !== null)
+			visit(container);
+	}
+}
 
-	if (options.showBufferInfo) {
-		if (this._writableState) {
-			comments.push(sprintf('wbuf: %s/%s',
-			    this._writableState.length,
-			    this._writableState.highWaterMark));
-		}
+/*
+ * Returns a plain object describing the whole graph of streams reachable from
+ * this stream (see vsWalkGraph()).  The result is suitable for serializing with
+ * JSON.stringify() and has two properties:
+ *
+ *     nodes	array of objects, one per stream, with properties "id" (the
+ *     		index of the stream in the order visited by vsWalkGraph()),
+ *     		"name", "kind" (see streamKind()), "container" (the
+ *     		"id" of the containing container stream, or null), "rbuf" and
+ *     		"wbuf" (each either null or an object with "length" and
+ *     		"highWaterMark"), and "counters" (a copy of the counters)
+ *
+ *     edges	array of objects with properties "from" and "to", each
+ *     		identifying a node by "id", one per upstream-downstream
+ *     		linkage
+ */
+function vsGraph()
+{
+	var streams = [];
+	var nodes = [];
+	var edges = [];
+
+	this.vsWalkGraph(function (stream) {
+		streams.push(stream);
+		nodes.push({
+		    'id': nodes.length,
+		    'name': isInstrumented(stream) ?
+		        stream.vs_name : stream.constructor.name,
+		    'kind': streamKind(stream),
+		    'container': null,
+		    'rbuf': stream._readableState ? {
+		        'length': stream._readableState.length,
+		        'highWaterMark': stream._readableState.highWaterMark
+		    } : null,
+		    'wbuf': stream._writableState ? {
+		        'length': stream._writableState.length,
+		        'highWaterMark': stream._writableState.highWaterMark
+		    } : null,
+		    'counters': isInstrumented(stream) ?
+		        extend({}, stream.vs_counters) : {}
+		});
+	});
 
-		if (this._readableState) {
-			comments.push(sprintf('rbuf: %s/%s',
-			    this._readableState.length,
-			    this._readableState.highWaterMark));
+	streams.forEach(function (stream, i) {
+		if (stream.vs_container) {
+			nodes[i].container =
+			    streams.indexOf(stream.vs_container);
 		}
-	}
 
-	outstream.write(indent);
-	fmt = 20 - indent.length < 10 ? '%s' :
-	    '%-' + (20 - indent.length) + 's';
-	outstream.write(sprintf(fmt, name));
-	if (comments.length > 0)
-		outstream.write(sprintf(' (%s)', comments.join(', ')));
-	outstream.write('\n');
+		if (!stream.hasOwnProperty('vs_downstreams'))
+			return;
 
-	if (this.hasOwnProperty('vs_counters')) {
-		counters = Object.keys(this.vs_counters).sort();
-		counters.forEach(function (c) {
-			outstream.write(sprintf('%s    %-16s %d\n',
-			    indent, c + ':', stream.vs_counters[c]));
+		stream.vs_downstreams.forEach(function (s) {
+			edges.push({ 'from': i, 'to': streams.indexOf(s) });
 		});
-	}
+	});
+
+	return ({ 'nodes': nodes, 'edges': edges });
 }
 
 /*
- * Given a stream, dump stream stats, one per line.  Streams with no counters
- * will produce no output.
+ * Write the graph of streams reachable from this stream (see vsGraph()) to
+ * "outstream" in the given "format", which may be either "json" (the default)
+ * or "dot" (for rendering with Graphviz).
  */
-function vsDumpCounters(outstream)
+function vsDumpGraph(outstream, format)
 {
-	var name, counters, counternames;
+	var graph;
 
-	name = this.vsName();
-	counters = this.vsCounters();
-	counternames = Object.keys(counters).sort();
-	counternames.forEach(function (c) {
-		outstream.write(sprintf('%-18s %-14s %6d\n',
-		    name, c + ':', counters[c]));
-	});
+	mod_assertplus.optionalString(format, 'format');
+
+	graph = this.vsGraph();
+	if (format === undefined || format == 'json') {
+		outstream.write(JSON.stringify(graph) + '\n');
+	} else {
+		mod_assertplus.equal(format, 'dot',
+		    'unsupported graph format: ' + format);
+		outstream.write(graphToDot(graph));
+	}
 }
 
 /*
- * Instruments an object-mode Transform stream.  This modifies the stream's
- * _transform() method so that it accepts values wrapped in ProvenanceValue
- * objects and passes the wrapped value to the underlying _transform() method.
- * On the output side, this stream outputs the unwrapped values by default, but
- * if the stream is piped to another instrumented Transform, then the
- * ProvenanceValues are passed directly.
- *
- * The net result of this is that you can take a bunch of traditional Node
- * Transform streams (which know nothing about this framework), instrument them,
- * pipe them together, and they will keep track of the history of each value as
- * it moves through the pipeline.  This is useful for data-processing pipelines
- * in order to report an error as having occured on "line 10" of the input, even
- * if the error only happens after several transformations, and even if those
- * transformations are not 1-to-1.  If you ever pipe to something that's not an
- * instrumented Transform, the provenance information is lost but the stream
- * continues to function.
+ * Returns an immutable snapshot of the state of every stream reachable from
+ * this stream, for comparing with a later snapshot using diffSnapshots().  See
+ * lib/snapshot.js.
  */
-function instrumentTransform(transform)
+function vsSnapshot()
 {
-	mod_assertplus.ok(isInstrumented(transform),
-	    'transform stream is not an instrumented object');
+	return (mod_snapshot.take(this));
+}
 
-	/* overrides for fields defined by Node */
-	transform.vs_realtransform = transform._transform;
-	transform._transform = vsTransform;
-	transform.vs_realpush = transform.push;
+/*
+ * Render a graph returned by vsGraph() in Graphviz DOT format.  Each container
+ * stream (e.g., a PipelineStream) is drawn as a cluster enclosing the streams
+ * it contains (and a node for the container itself, so that edges into and out
+ * of it have somewhere to go).
+ */
+function graphToDot(graph)
+{
+	var lines, children;
+
+	lines = [ 'digraph pipeline {', '\tnode [shape=box];' ];
+	children = {};
+	graph.nodes.forEach(function (n) {
+		var key = n.container === null ? 'top' : n.container;
+		if (!children.hasOwnProperty(key))
+			children[key] = [];
+		children[key].push(n);
+	});
+
+	function emitNodes(key, depth) {
+		var indent = new Array(depth + 1).join('\t');
+		children[key].forEach(function (n) {
+			var label = dotQuote(dotLabel(n));
+
+			if (!children.hasOwnProperty(n.id)) {
+				lines.push(sprintf('%sn%d [label=%s];',
+				    indent, n.id, label));
+				return;
+			}
+
+			lines.push(sprintf('%ssubgraph cluster_%d {',
+			    indent, n.id));
+			lines.push(sprintf('%s\tlabel=%s;',
+			    indent, dotQuote(n.name)));
+			lines.push(sprintf('%s\tstyle=dashed;', indent));
+			lines.push(sprintf('%s\tn%d [label=%s];',
+			    indent, n.id, label));
+			emitNodes(n.id, depth + 1);
+			lines.push(indent + '}');
+		});
+	}
+
+	emitNodes('top', 1);
+	graph.edges.forEach(function (e) {
+		lines.push(sprintf('\tn%d -> n%d;', e.from, e.to));
+	});
+	lines.push('}');
+	return (lines.join('\n') + '\n');
+}
+
+/*
+ * Returns the multi-line label for a node in a DOT graph: the stream's name,
+ * its kind, its buffer state, and its counters.
+ */
+function dotLabel(node)
+{
+	var parts = [ node.name, node.kind ];
+
+	if (node.wbuf !== null) {
+		parts.push(sprintf('wbuf: %s/%s',
+		    node.wbuf.length, node.wbuf.highWaterMark));
+	}
+
+	if (node.rbuf !== null) {
+		parts.push(sprintf('rbuf: %s/%s',
+		    node.rbuf.length, node.rbuf.highWaterMark));
+	}
+
+	Object.keys(node.counters).sort().forEach(function (c) {
+		parts.push(sprintf('%s: %d', c, node.counters[c]));
+	});
+
+	return (parts.join('\n'));
+}
+
+/*
+ * Quote a string for use as a DOT identifier.
+ */
+function dotQuote(str)
+{
+	return ('"' + str.replace(/[\\"]/g, '\\$&').replace(/\n/g, '\\n') +
+	    '"');
+}
+
+/*
+ * Copy the own properties of "source" onto "target" (overwriting any that
+ * already exist) and return "target".
+ */
+function extend(target, source)
+{
+	Object.keys(source).forEach(function (k) { target[k] = source[k]; });
+	return (target);
+}
+
+/*
+ * Returns a human-readable description of what kind of stream this is:
+ * "readable", "writable", "duplex", or "unknown".
+ */
+function streamKind(stream)
+{
+	if (stream._readableState) {
+		if (stream._writableState)
+			return ('duplex');
+		return ('readable');
+	}
+
+	if (stream._writableState)
+		return ('writable');
+
+	return ('unknown');
+}
+
+/*
+ * Dump debug information about a stream.  "options" may specify:
+ *
+ *     showKind		include the kind of stream (see streamKind())
+ *
+ *     showBufferInfo	include the length and high watermark of each buffer
+ *
+ *     showLatency	include latency histograms (see vsLatency())
+ *
+ *     showState	include the state of each side of the stream (see
+ *     			lib/stream-state.js) and whether it's been destroyed
+ *
+ * If "options" is not specified, everything but the state is included.
+ */
+function vsDumpDebug(outstream, indentlen, options)
+{
+	var i, kind, name, comments, counters, fmt, rstate, wstate;
+	var stream = this;
+	var indent = '';
+
+	if (indentlen) {
+		for (i = 0; i < indentlen; i++)
+			indent += '    ';
+	}
+
+	if (!options)
+		options = {
+		    'showKind': true,
+		    'showBufferInfo': true,
+		    'showLatency': true
+		};
+
+	comments = [];
+
+	if (options.showKind) {
+		kind = streamKind(this);
+		comments.push(kind);
+	}
+
+	mod_assertplus.ok(isInstrumented(this));
+	name = this.vsName();
+
+	if (options.showBufferInfo) {
+		if (this._writableState) {
+			comments.push(sprintf('wbuf: %s/%s',
+			    this._writableState.length,
+			    this._writableState.highWaterMark));
+		}
+
+		if (this._readableState) {
+			comments.push(sprintf('rbuf: %s/%s',
+			    this._readableState.length,
+			    this._readableState.highWaterMark));
+		}
+	}
+
+	outstream.write(indent);
+	fmt = 20 - indent.length < 10 ? '%s' :
+	    '%-' + (20 - indent.length) + 's';
+	outstream.write(sprintf(fmt, name));
+	if (comments.length > 0)
+		outstream.write(sprintf(' (%s)', comments.join(', ')));
+	outstream.write('\n');
+
+	if (options.showState) {
+		wstate = mod_streamstate.writableState(this);
+		rstate = mod_streamstate.readableState(this);
+		if (wstate !== null) {
+			outstream.write(sprintf('%s    %-16s %s\n', indent,
+			    'writable:', dumpState(wstate, [ 'ending',
+			    'finished', 'corked', 'needDrain',
+			    'objectMode' ])));
+		}
+
+		if (rstate !== null) {
+			outstream.write(sprintf('%s    %-16s %s\n', indent,
+			    'readable:', dumpState(rstate, [ 'flowing',
+			    'ended', 'endEmitted', 'pipesCount',
+			    'objectMode' ])));
+		}
+
+		if (wstate !== null || rstate !== null) {
+			outstream.write(sprintf('%s    %-16s %s\n', indent,
+			    'destroyed:', (wstate || rstate).destroyed));
+		}
+	}
+
+	if (this.hasOwnProperty('vs_counters')) {
+		counters = Object.keys(this.vs_counters).sort();
+		counters.forEach(function (c) {
+			outstream.write(sprintf('%s    %-16s %d%s\n',
+			    indent, c + ':', stream.vs_counters[c],
+			    counterSuffix(stream, c)));
+		});
+	}
+
+	if (options.showLatency && this.hasOwnProperty('vs_latency')) {
+		Object.keys(this.vs_latency).forEach(function (op) {
+			if (stream.vs_latency[op].lh_count === 0)
+				return;
+
+			outstream.write(sprintf('%s    %s latency: %s\n',
+			    indent, op, stream.vs_latency[op].toString()));
+		});
+	}
+}
+
+/*
+ * Returns a one-line summary of the given "fields" of a state object returned
+ * by readableState() or writableState(), for vsDumpDebug().
+ */
+function dumpState(state, fields)
+{
+	return (fields.map(function (f) {
+		return (f + ': ' + state[f]);
+	}).join(', '));
+}
+
+/*
+ * Given a stream, dump stream stats, one per line.  Streams with no counters
+ * will produce no output.
+ */
+function vsDumpCounters(outstream)
+{
+	var stream = this;
+	var name, counters, counternames;
+
+	name = this.vsName();
+	counters = this.vsCounters();
+	counternames = Object.keys(counters).sort();
+	counternames.forEach(function (c) {
+		outstream.write(sprintf('%-18s %-14s %6d%s\n',
+		    name, c + ':', counters[c], counterSuffix(stream, c)));
+	});
+}
+
+/*
+ * Instruments an object-mode Transform stream.  This modifies the stream's
+ * _transform() method so that it accepts values wrapped in ProvenanceValue
+ * objects and passes the wrapped value to the underlying _transform() method.
+ * On the output side, this stream outputs the unwrapped values by default, but
+ * if the stream is piped to another instrumented Transform, then the
+ * ProvenanceValues are passed directly.
+ *
+ * The net result of this is that you can take a bunch of traditional Node
+ * Transform streams (which know nothing about this framework), instrument them,
+ * pipe them together, and they will keep track of the history of each value as
+ * it moves through the pipeline.  This is useful for data-processing pipelines
+ * in order to report an error as having occured on "line 10" of the input, even
+ * if the error only happens after several transformations, and even if those
+ * transformations are not 1-to-1.  If you ever pipe to something that's not an
+ * instrumented Transform, the provenance information is lost but the stream
+ * continues to function.
+ *
+ * If "options.deadLetter" is true, errors reported by the underlying
+ * _transform() don't fail the stream.  Instead, the offending input is
+ * rejected: it's counted in "nrejected", reported as a warning (see vsWarn())
+ * whose kind is the error's "code" (if it's a string) or else its "name", and
+ * written to a separate, object-mode readable stream returned by
+ * vsDeadLetters(), and processing continues with the next input.  See
+ * rejectInput() for what's written to that stream, which ends when the
+ * underlying _flush() (if any) completes, or else when this stream finishes.
+ * Note that if nothing reads from the dead-letter stream, rejected inputs
+ * accumulate there.
+ *
+ * "options.provenancePolicy" may be a ProvenancePolicy that limits the
+ * provenance information kept by this stream (see vsSetProvenancePolicy()).
+ */
+function instrumentTransform(transform, options)
+{
+	mod_assertplus.ok(isInstrumented(transform),
+	    'transform stream is not an instrumented object');
+	mod_assertplus.optionalObject(options, 'options');
+	if (options) {
+		mod_assertplus.optionalBool(options.deadLetter,
+		    'options.deadLetter');
+		mod_assertplus.ok(options.provenancePolicy === undefined ||
+		    options.provenancePolicy instanceof ProvenancePolicy,
+		    'options.provenancePolicy must be a ProvenancePolicy');
+	}
+
+	/* overrides for fields defined by Node */
+	transform.vs_realtransform = transform._transform;
+	transform._transform = vsTransform;
+	transform.vs_realpush = transform.push;
 	transform.push = vsPush;
 
-	if (transform._flush) {
-		transform.vs_realflush = transform._flush;
-		transform._flush = vsFlush;
+	if (transform._flush) {
+		transform.vs_realflush = transform._flush;
+		transform._flush = vsFlush;
+	}
+
+	/*
+	 * Latency histograms for calls to the underlying _transform() and
+	 * _flush() functions, measured from the call to the callback.
+	 */
+	transform.vs_latency = {
+	    'transform': new LatencyHistogram(),
+	    'flush': new LatencyHistogram()
+	};
+	transform.vsLatency = vsLatency;
+
+	/* Metadata for the current input.  See vsAnnotate(). */
+	transform.vs_contextmeta = null;
+	transform.vsAnnotate = vsAnnotate;
+
+	/* Support for outputs derived from many inputs.  See vsPushFrom(). */
+	transform.vs_derivefrom = null;
+	transform.vsContext = vsContext;
+	transform.vsPushFrom = vsPushFrom;
+
+	/* Support for restored provenance.  See vsPushWith(). */
+	transform.vs_pushwith = null;
+	transform.vsPushWith = vsPushWith;
+
+	/* Support for pushing after _transform() completes.  See vsDefer(). */
+	transform.vs_deferred = null;
+	transform.vsDefer = vsDefer;
+
+	/*
+	 * Provenance policy, if any, and state used to implement it: a
+	 * reusable context for when provenance tracking is disabled and the
+	 * last provenance created by this stream, for sharing among values
+	 * pushed for the same input.  See vsSetProvenancePolicy().
+	 */
+	transform.vs_provpolicy = null;
+	transform.vs_provscratch = null;
+	transform.vs_provlast = null;
+	transform.vsSetProvenancePolicy = vsSetProvenancePolicy;
+	if (options && options.provenancePolicy)
+		transform.vsSetProvenancePolicy(options.provenancePolicy);
+
+	/* Dead-letter stream for rejected inputs, if requested. */
+	transform.vs_deadletter = null;
+	transform.vsDeadLetters = vsDeadLetters;
+	if (options && options.deadLetter) {
+		transform.vs_deadletter = new mod_stream.Readable(
+		    { 'objectMode': true });
+		transform.vs_deadletter._read = function () {};
+
+		/*
+		 * Inputs can still be rejected from _flush() (e.g., by a
+		 * transform that processes inputs concurrently and waits for
+		 * them there), and before Node 15, 'finish' is emitted before
+		 * _flush() completes.  So if there's a _flush(), vsFlush()
+		 * ends the dead-letter stream instead.
+		 */
+		if (!transform.vs_realflush) {
+			transform.once('finish', function () {
+				transform.vs_deadletter.push(null);
+			});
+		}
+	}
+
+	instrumentMarshal(transform);
+}
+
+/*
+ * Instrument a Writable stream that consumes the output of a pipeline, like a
+ * file or socket, by wrapping its _write() and (if present) _writev()
+ * functions.  Each chunk handed to the underlying stream counts as an input
+ * (in "ninputs"), the bytes in Buffer and string chunks are counted in
+ * "nbyteswritten", and each call is timed from the call until the callback is
+ * invoked (see vsLatency()).
+ *
+ * Instrumented Writables accept ProvenanceValues from the streams piped into
+ * them (or passed to write() or end()), but they unwrap them in write(), so the
+ * underlying stream always sees raw values.  If a write fails, the error is
+ * annotated with the provenance of the chunk being written (see
+ * errorContext()).  When _writev() fails, the error is attributed to the first
+ * chunk it was writing, since we can't tell which one failed.
+ */
+function instrumentWritable(stream)
+{
+	mod_assertplus.ok(isInstrumented(stream),
+	    'writable stream is not an instrumented object');
+	mod_assertplus.ok(stream._writableState &&
+	    typeof (stream._write) == 'function',
+	    'stream is not writable');
+	mod_assertplus.ok(typeof (stream.vs_realtransform) != 'function',
+	    'Transform streams should use instrumentTransform()');
+
+	/* overrides for fields defined by Node */
+	stream.vs_realwrite = stream._write;
+	stream._write = vsWrite;
+	if (typeof (stream._writev) == 'function') {
+		stream.vs_realwritev = stream._writev;
+		stream._writev = vsWritev;
+	}
+
+	/*
+	 * Provenance of each chunk passed to write() but not yet passed to
+	 * _write(), in order.  Chunks written without provenance have null.
+	 */
+	stream.vs_writecontexts = [];
+	stream.vs_sinkwrite = stream.write;
+	stream.write = vsSinkWrite;
+	wrapEnd(stream);
+
+	/*
+	 * Whether a call to _write() or _writev() is in progress.  Some streams
+	 * call their own _write() again for the same chunk (e.g., file streams
+	 * before Node 15 do so once the file is open), which mustn't be counted
+	 * twice.
+	 */
+	stream.vs_writing = false;
+
+	stream.vs_latency = { 'write': new LatencyHistogram() };
+	stream.vsLatency = vsLatency;
+
+	/* Used to attribute errors to the chunk being written. */
+	stream.vs_deferred = null;
+}
+
+/*
+ * Instrument a Readable stream that produces the data for a pipeline, like a
+ * database query or a message queue consumer, by wrapping its push()
+ * function.  Each chunk pushed counts as an output (in "noutputs").
+ *
+ * Provenance starts here: when this stream is piped to instrumented Transforms,
+ * each value it pushes is sent to them as a ProvenanceValue whose first step
+ * names this stream (as from ProvenanceValue.seed()).  The source can describe
+ * where each value came from (e.g., a row id or file offset) by pushing it with
+ * vsPushAt() instead of push().  Other readers get the raw values.  Only
+ * object-mode streams send provenance, since other streams can only emit
+ * strings and Buffers.
+ */
+function instrumentReadable(stream)
+{
+	mod_assertplus.ok(isInstrumented(stream),
+	    'readable stream is not an instrumented object');
+	mod_assertplus.ok(stream._readableState &&
+	    typeof (stream.push) == 'function',
+	    'stream is not readable');
+	mod_assertplus.ok(typeof (stream.vs_realtransform) != 'function',
+	    'Transform streams should use instrumentTransform()');
+
+	/* overrides for fields defined by Node */
+	stream.vs_realpush = stream.push;
+	stream.push = vsSourcePush;
+
+	/* Metadata for the value being pushed.  See vsPushAt(). */
+	stream.vs_sourcemeta = null;
+	stream.vsPushAt = vsPushAt;
+
+	instrumentMarshal(stream);
+}
+
+/*
+ * Marshaling: this determines whether values emitted by a stream are wrapped
+ * in ProvenanceValue objects.  Readers that are themselves instrumented
+ * Transforms (or containers whose first stream is one) want this, since that's
+ * how we propagate provenance information.  Anything else must get the raw
+ * value, because that's what it's expecting.
+ *
+ * Since a stream may be piped to several readers of both kinds (and readers
+ * may come and go while data is flowing), this is decided separately for each
+ * reader.  When this stream is piped somewhere, we note whether the 'data'
+ * listener that pipe() added wants ProvenanceValues (see vsMarshalPipe()).  As
+ * long as any reader wants them, values are wrapped when they're pushed (see
+ * vsPush()), and they're unwrapped again on the way out for readers that don't
+ * want them (see vsMarshalEmit() and vsMarshalRead()).  Only streams whose
+ * readable side is in object mode wrap values, since other streams can only
+ * emit strings and Buffers.
+ *
+ * Readers that don't use pipe() -- callers of read() and other 'data'
+ * listeners -- get raw values unless "vs_marshalmode" is "marshal" (rather
+ * than the default, "nomarshal").  Containers set that on their tails, since
+ * they read from them directly.  It's also useful for testing.  'data'
+ * listeners added with vsOnMarshaled() get ProvenanceValues regardless.
+ */
+function instrumentMarshal(stream)
+{
+	stream.vs_marshalmode = 'nomarshal';
+	stream.vs_marshalreaders = [];
+	stream.vsOnMarshaled = vsOnMarshaled;
+
+	stream.vs_realpipe = stream.pipe;
+	stream.pipe = vsMarshalPipe;
+	stream.vs_realemit = stream.emit;
+	stream.emit = vsMarshalEmit;
+	stream.vs_realread = stream.read;
+	stream.read = vsMarshalRead;
+
+	/* Forget about readers that have been unpiped. */
+	stream.on('removeListener', function (name, listener) {
+		var i;
+
+		if (name != 'data')
+			return;
+
+		i = stream.vs_marshalreaders.indexOf(listener);
+		if (i != -1)
+			stream.vs_marshalreaders.splice(i, 1);
+	});
+}
+
+/*
+ * Returns true iff "stream" should wrap the values it emits in
+ * ProvenanceValues because at least one of its readers wants them.
+ */
+function wantsMarshal(stream)
+{
+	return (stream.vs_marshalmode == 'marshal' ||
+	    stream.vs_marshalreaders.length > 0);
+}
+
+/*
+ * Returns true iff data written to "stream" ends up in an instrumented
+ * Transform or Writable, which accept ProvenanceValues.
+ */
+function acceptsMarshal(stream)
+{
+	stream = containerHead(stream);
+	return (typeof (stream.vs_realtransform) == 'function' ||
+	    typeof (stream.vs_realwrite) == 'function');
+}
+
+/*
+ * Proxy method for pipe() on streams that may emit ProvenanceValues.  See
+ * instrumentMarshal().
+ */
+function vsMarshalPipe(dest)
+{
+	var self = this;
+	var before, rv;
+
+	before = this.listeners('data');
+	rv = this.vs_realpipe.apply(this, arguments);
+	if (!acceptsMarshal(dest) || !this._readableState.objectMode)
+		return (rv);
+
+	this.listeners('data').forEach(function (l) {
+		if (before.indexOf(l) == -1)
+			self.vs_marshalreaders.push(l);
+	});
+
+	marshalContents(this);
+	return (rv);
+}
+
+/*
+ * Like on('data', listener), but "listener" gets ProvenanceValues (as long as
+ * this stream or the streams before it are producing them), even if this
+ * stream's other readers get raw values.  See instrumentMarshal().
+ */
+function vsOnMarshaled(listener)
+{
+	mod_assertplus.func(listener, 'listener');
+	this.vs_marshalreaders.push(listener);
+	marshalContents(this);
+	return (this.on('data', listener));
+}
+
+/*
+ * If "stream" is a container, the data it emits comes from reading its last
+ * stream (and so on, for nested containers), so when any of its readers want
+ * ProvenanceValues, that stream needs to produce them too.
+ */
+function marshalContents(stream)
+{
+	while (isContainer(stream)) {
+		stream = stream.vs_contents[stream.vs_contents.length - 1];
+		if (stream.hasOwnProperty('vs_marshalmode'))
+			stream.vs_marshalmode = 'marshal';
+	}
+}
+
+/*
+ * Proxy method for emit() on streams that may emit ProvenanceValues.  For
+ * 'data' events carrying a ProvenanceValue, each listener gets either the
+ * ProvenanceValue or the raw value, depending on what it wants.  See
+ * instrumentMarshal().
+ */
+function vsMarshalEmit(name, chunk)
+{
+	var self = this;
+	var listeners;
+
+	if (name != 'data' || !(chunk instanceof ProvenanceValue))
+		return (this.vs_realemit.apply(this, arguments));
+
+	listeners = typeof (this.rawListeners) == 'function' ?
+	    this.rawListeners('data') : this.listeners('data');
+	listeners.forEach(function (l) {
+		if (self.vs_marshalmode == 'marshal' ||
+		    self.vs_marshalreaders.indexOf(l) != -1 ||
+		    self.vs_marshalreaders.indexOf(l.listener) != -1)
+			l.call(self, chunk);
+		else
+			l.call(self, chunk.pv_value);
+	});
+
+	return (listeners.length > 0);
+}
+
+/*
+ * Proxy method for read() on streams that may emit ProvenanceValues.  Callers
+ * get raw values unless "vs_marshalmode" is "marshal".  See
+ * instrumentMarshal().
+ */
+function vsMarshalRead()
+{
+	var rv = this.vs_realread.apply(this, arguments);
+
+	if (rv instanceof ProvenanceValue && this.vs_marshalmode != 'marshal')
+		return (rv.pv_value);
+
+	return (rv);
+}
+
+/*
+ * Instruments a container stream, which is a stream implemented by piping data
+ * through a pipeline of other streams (its "contents").  The contract is that
+ * data written to the container is written to the first of its contents and
+ * data read from the container is whatever was read from the last of its
+ * contents.  PipelineStream is the canonical example, but any composite stream
+ * that satisfies this contract can call this function to participate in
+ * walking, debug dumps, and provenance marshaling.  Containers may be nested.
+ *
+ * The contents need not be instrumented already.  If they're not, they will be
+ * instrumented with names derived from their constructors.  Each stream may
+ * belong to at most one container.
+ */
+function instrumentContainer(stream, contents)
+{
+	mod_assertplus.ok(isInstrumented(stream),
+	    'container stream is not an instrumented object');
+	mod_assertplus.ok(Array.isArray(stream.vs_downstreams),
+	    'container stream has not been instrumented');
+	mod_assertplus.ok(!isContainer(stream),
+	    'stream is already a container');
+	mod_assertplus.arrayOfObject(contents, 'contents');
+	mod_assertplus.ok(contents.length > 0,
+	    'container must contain at least one stream');
+
+	contents.forEach(function (s) {
+		if (!s.hasOwnProperty('vs_downstreams'))
+			instrumentPeer(s);
+
+		mod_assertplus.ok(!s.vs_container,
+		    'stream "' + s.vs_name + '" is already in a container');
+		s.vs_container = stream;
+		if (s.vs_log === null)
+			s.vs_log = stream.vs_log;
+	});
+
+	/* private fields */
+	stream.vs_contents = contents.slice(0);	/* contained streams */
+
+	/* public methods */
+	stream.vsContents = vsContents;
+
+	/*
+	 * Streams piped into this container marshal their outputs just as if
+	 * they'd been piped to the first stream inside it (see
+	 * acceptsMarshal()).  This container emits whatever its last stream
+	 * emits, and like any stream that may emit ProvenanceValues, it
+	 * unwraps them for readers that don't want them.
+	 */
+	instrumentMarshal(stream);
+}
+
+/*
+ * Returns true iff the given stream has been instrumented as a container.
+ */
+function isContainer(stream)
+{
+	return (stream.hasOwnProperty('vs_contents'));
+}
+
+/*
+ * Returns the streams directly contained by this container, in order.
+ */
+function vsContents()
+{
+	return (this.vs_contents.slice(0));
+}
+
+/*
+ * Returns the stream that ultimately receives data written to "stream", which
+ * is "stream" itself unless it's a container.
+ */
+function containerHead(stream)
+{
+	while (isContainer(stream))
+		stream = stream.vs_contents[0];
+	return (stream);
+}
+
+/*
+ * Proxy method for _transform().  This unwraps any existing ProvenanceValue and
+ * records the context for any outputs emitted during the call to the underlying
+ * transform().  It also records how long the underlying transform() took to
+ * invoke its callback, and it logs the call and any error it reports (see
+ * vsSetLog()).  In the future, this is where we could add DTrace probes.
+ */
+function vsTransform(chunk, _, callback)
+{
+	var self = this;
+	var augmented, start;
+
+	mod_assertplus.ok(isInstrumented(this),
+	    'attempted call to vsTransform() on uninstrumented Transform');
+	mod_assertplus.ok(this.vs_context === null);
+
+	if (chunk instanceof ProvenanceValue) {
+		augmented = chunk;
+	} else if (this.vs_provscratch !== null) {
+		/* Provenance is disabled.  See vsSetProvenancePolicy(). */
+		augmented = this.vs_provscratch;
+		augmented.pv_value = chunk;
+	} else {
+		augmented = new ProvenanceValue(chunk);
+	}
+
+	this.vsCounterBump('ninputs');
+	this.vs_context = augmented;
+	vsLog(this, 'trace', augmented,
+	    { 'input': this.vs_counters['ninputs'] }, 'transform');
+	start = process.hrtime();
+	this.vs_realtransform(augmented.pv_value, _, function (err, newchunk) {
+		/*
+		 * This check is annoying, but it's the only way we can detect
+		 * whether someone's doing something with the API that we don't
+		 * know how to handle.  We could likely avoid interpreting the
+		 * arguments at all and just pass them straight through to the
+		 * original callback, but that callback may end up invoking
+		 * _transform again without a way for us to know that it
+		 * happened, and we'd blow our assertion that vs_context ===
+		 * null.  We could also loosen that invariant and just assume
+		 * that we're maintaining vs_context correctly, but it's worth
+		 * adding a stricter check while it's not too painful.
+		 */
+		mod_assertplus.ok(arguments.length < 3,
+		    '_transform callback passed more arguments than expected');
+		mod_assertplus.ok(self.vs_context === augmented);
+		self.vs_latency['transform'].recordSince(start);
+
+		if (err) {
+			annotateError(err, self, 'transform', augmented);
+			if (self.vs_deadletter !== null) {
+				rejectInput(self, augmented, err);
+				self.vs_context = null;
+				self.vs_contextmeta = null;
+				callback();
+				return;
+			}
+
+			vsLog(self, 'error', augmented, { 'err': err },
+			    'transform failed');
+		}
+
+		if (!err && arguments.length > 1) {
+			self.push(newchunk);
+			mod_assertplus.ok(self.vs_context === augmented);
+		}
+
+		self.vs_context = null;
+		self.vs_contextmeta = null;
+		callback.apply(null,
+		    Array.prototype.slice.call(arguments, 0, 1));
+	});
+}
+
+/*
+ * Reject the input "context" of Transform "transform" because the underlying
+ * _transform() failed with "err".  See instrumentTransform().  The record
+ * written to the dead-letter stream has properties:
+ *
+ *     stream	name of the stream that rejected the input
+ *
+ *     input	index of the rejected input
+ *
+ *     value	the rejected input itself
+ *
+ *     label	the input's provenance (see errorContext())
+ *
+ *     error	the error reported by _transform()
+ */
+function rejectInput(transform, context, err)
+{
+	var error, kind;
+
+	error = err instanceof Error ? err : new Error(String(err));
+	kind = typeof (error.code) == 'string' ? error.code : error.name;
+
+	transform.vsCounterBump('nrejected');
+	transform.vs_deadletter.push({
+	    'stream': transform.vs_name,
+	    'input': currentInput(transform),
+	    'value': context.pv_value,
+	    'label': context.withSource(transform).label(),
+	    'error': err
+	});
+	transform.vsWarn(error, kind);
+}
+
+/*
+ * Returns the readable stream of inputs rejected by this Transform, or null if
+ * it wasn't instrumented with the "deadLetter" option.  See
+ * instrumentTransform().
+ */
+function vsDeadLetters()
+{
+	return (this.vs_deadletter);
+}
+
+/*
+ * Attach metadata describing the current input (like a file name, line number,
+ * byte offset, or record key) to the provenance of everything this Transform
+ * pushes (and every warning it emits) until the next call to vsAnnotate() or
+ * the end of the current call to _transform() or _flush().  "meta" is merged
+ * with metadata from earlier calls for the same input, so a transform that
+ * splits its input into several outputs can update just the fields that
+ * differ (e.g., the line number) before each push.  The metadata appears in
+ * label() and toJSON() of the resulting ProvenanceValues.
+ */
+function vsAnnotate(meta)
+{
+	mod_assertplus.object(meta, 'meta');
+	mod_assertplus.ok(this.vs_context !== null,
+	    'vsAnnotate() called outside of _transform() or _flush()');
+
+	this.vs_contextmeta = extend(extend({}, this.vs_contextmeta || {}),
+	    meta);
+}
+
+/*
+ * Returns summaries of the latency histograms for this stream (see
+ * LatencyHistogram.prototype.summary()).  For Transforms, the result has
+ * properties "transform" and "flush", which describe calls to the underlying
+ * _transform() and _flush() functions, respectively.  For Writables (see
+ * instrumentWritable()), it has "write", which describes calls to _write() and
+ * _writev().
+ */
+function vsLatency()
+{
+	var self = this;
+	var rv = {};
+
+	Object.keys(this.vs_latency).forEach(function (op) {
+		rv[op] = self.vs_latency[op].summary();
+	});
+
+	return (rv);
+}
+
+/*
+ * Proxy method for _flush().  Like vsTransform(), this maintains the current
+ * context around the call to the underlying _flush() and logs the call and any
+ * error it reports.  This would also be a good place to add DTrace probes.
+ */
+function vsFlush(callback)
+{
+	var self = this;
+	var augmented, start;
+
+	mod_assertplus.ok(isInstrumented(this),
+	    'attempted call to vsFlush() on uninstrumented Transform');
+	mod_assertplus.ok(this.vs_context === null);
+
+	augmented = new ProvenanceValue();
+	this.vs_context = augmented;
+	vsLog(this, 'debug', null, {}, 'flush');
+	start = process.hrtime();
+	this.vs_realflush(function (err) {
+		mod_assertplus.ok(self.vs_context === augmented);
+		self.vs_latency['flush'].recordSince(start);
+		if (err) {
+			annotateError(err, self, 'flush');
+			vsLog(self, 'error', null, { 'err': err },
+			    'flush failed');
+		}
+		self.vs_context = null;
+		self.vs_contextmeta = null;
+		if (self.vs_deadletter !== null)
+			self.vs_deadletter.push(null);
+		callback.apply(null, Array.prototype.slice.call(arguments));
+	});
+}
+
+/*
+ * Proxy method for push() on instrumented Readables.  See
+ * instrumentReadable().
+ */
+function vsSourcePush(chunk, encoding)
+{
+	var augmented;
+
+	if (chunk === null || chunk === undefined)
+		return (this.vs_realpush.apply(this, arguments));
+
+	this.vsCounterBump('noutputs');
+	if (chunk instanceof ProvenanceValue) {
+		/* The source seeded its own provenance. */
+		augmented = chunk;
+		chunk = chunk.pv_value;
+	} else {
+		augmented = null;
+	}
+
+	if (!wantsMarshal(this) || !this._readableState.objectMode)
+		return (this.vs_realpush(chunk, encoding));
+
+	if (augmented === null)
+		augmented = ProvenanceValue.seed(chunk, this.vs_name,
+		    this.vs_sourcemeta || undefined);
+	return (this.vs_realpush(augmented));
+}
+
+/*
+ * Like push(), but records that "chunk" came from the place described by
+ * "meta", an object like the one passed to vsAnnotate() (e.g., a row id, or a
+ * line number and byte offset), which appears in the first step of its
+ * provenance.  See instrumentReadable().
+ */
+function vsPushAt(chunk, meta)
+{
+	var rv;
+
+	mod_assertplus.ok(chunk !== null, 'vsPushAt() cannot end the stream');
+	mod_assertplus.object(meta, 'meta');
+	mod_assertplus.ok(this.vs_sourcemeta === null);
+
+	this.vs_sourcemeta = meta;
+	try {
+		rv = this.push(chunk);
+	} finally {
+		this.vs_sourcemeta = null;
+	}
+
+	return (rv);
+}
+
+/*
+ * Proxy method for write() on instrumented Writables.  This unwraps
+ * ProvenanceValues and saves their provenance for vsWrite() and vsWritev().
+ * Node calls _write() (or _writev()) for each chunk accepted by write(), in
+ * order, so we can match them up again there.
+ */
+function vsSinkWrite(chunk)
+{
+	var args;
+
+	/* Node won't pass this chunk to _write(). */
+	if (this._writableState.ending || this.destroyed)
+		return (this.vs_sinkwrite.apply(this, arguments));
+
+	args = Array.prototype.slice.call(arguments);
+	if (chunk instanceof ProvenanceValue) {
+		this.vs_writecontexts.push(chunk);
+		args[0] = chunk.pv_value;
+	} else {
+		this.vs_writecontexts.push(null);
+	}
+
+	try {
+		return (this.vs_sinkwrite.apply(this, args));
+	} catch (ex) {
+		/* e.g., a chunk of the wrong type */
+		this.vs_writecontexts.pop();
+		throw (ex);
+	}
+}
+
+/*
+ * Count a chunk that's about to be passed to the underlying _write() or
+ * _writev() and return its provenance as seen by this stream's reader.
+ */
+function writeInput(stream, chunk, encoding)
+{
+	var context = stream.vs_writecontexts.shift();
+
+	stream.vsCounterBump('ninputs');
+	if (Buffer.isBuffer(chunk)) {
+		stream.vsCounterAdd('nbyteswritten', chunk.length);
+	} else if (typeof (chunk) == 'string') {
+		stream.vsCounterAdd('nbyteswritten', Buffer.byteLength(chunk,
+		    typeof (encoding) == 'string' && encoding != 'buffer' ?
+		    encoding : 'utf8'));
+	}
+
+	return (context || new ProvenanceValue(chunk));
+}
+
+/*
+ * Annotate and log "err", reported by instrumented Writable "stream" while
+ * writing its "input"th chunk, whose provenance is "context".
+ */
+function writeFailed(stream, err, context, input)
+{
+	new DeferredInput(stream, context, input, null).run(function () {
+		annotateError(err, stream, 'write', context);
+		vsLog(stream, 'error', context, { 'err': err }, 'write failed');
+	});
+}
+
+/*
+ * Proxy method for _write() on instrumented Writables.  See
+ * instrumentWritable().
+ */
+function vsWrite(chunk, encoding, callback)
+{
+	var self = this;
+	var context, input, start;
+
+	/* See instrumentWritable(). */
+	if (this.vs_writing)
+		return (this.vs_realwrite(chunk, encoding, callback));
+
+	context = writeInput(this, chunk, encoding);
+	input = this.vs_counters['ninputs'];
+	start = process.hrtime();
+	this.vs_writing = true;
+	this.vs_realwrite(chunk, encoding, function (err) {
+		self.vs_writing = false;
+		self.vs_latency['write'].recordSince(start);
+		if (err)
+			writeFailed(self, err, context, input);
+		callback.apply(null, arguments);
+	});
+}
+
+/*
+ * Proxy method for _writev() on instrumented Writables.  See
+ * instrumentWritable().
+ */
+function vsWritev(chunks, callback)
+{
+	var self = this;
+	var context, input, start;
+
+	/* See instrumentWritable(). */
+	if (this.vs_writing)
+		return (this.vs_realwritev(chunks, callback));
+
+	chunks.forEach(function (c, i) {
+		var ctx = writeInput(self, c.chunk, c.encoding);
+
+		if (i === 0) {
+			context = ctx;
+			input = self.vs_counters['ninputs'];
+		}
+	});
+
+	start = process.hrtime();
+	this.vs_writing = true;
+	this.vs_realwritev(chunks, function (err) {
+		self.vs_writing = false;
+		self.vs_latency['write'].recordSince(start);
+		if (err)
+			writeFailed(self, err, context, input);
+		callback.apply(null, arguments);
+	});
+}
+
+/*
+ * Attach provenance information to an error reported by instrumented stream
+ * "stream" so that it can be retrieved with errorContext().  "phase" describes
+ * what the stream was doing ("transform", "flush", or "write", or null if
+ * unknown), and
+ * "context" is the ProvenanceValue being processed at the time, if any.  The
+ * information is stored in a non-enumerable property, so the error itself
+ * (including its identity, message, and serialized form) is otherwise
+ * unchanged.  Errors that aren't extensible objects are left alone, as are
+ * errors that have already been annotated, since the first stream to report an
+ * error is the one that knows the most about it.  Container streams like
+ * PipelineStream that re-emit errors from their contents should call this with
+ * the contained stream so that errors not reported by an instrumented Transform
+ * are still annotated.
+ */
+function annotateError(err, stream, phase, context)
+{
+	var provenance, containers, c, input;
+
+	mod_assertplus.ok(isInstrumented(stream),
+	    'stream has not been instrumented');
+	mod_assertplus.optionalString(phase, 'phase');
+
+	if (typeof (err) != 'object' || err === null ||
+	    !Object.isExtensible(err) || errorContext(err) !== null)
+		return;
+
+	provenance = context ? context.withSource(stream) : null;
+	input = phase == 'transform' || phase == 'write' ?
+	    currentInput(stream) : null;
+
+	containers = [];
+	for (c = stream.vs_container; c; c = c.vs_container)
+		containers.push(c.vs_name);
+
+	Object.defineProperty(err, 'vs_errcontext', {
+	    'enumerable': false,
+	    'value': {
+		'stream': stream.vs_name,
+		'phase': phase || null,
+		'input': input === undefined ? null : input,
+		'provenance': provenance === null ? [] :
+		    provenance.pv_provenance.map(stepToJSON),
+		'containers': containers,
+		'label': provenance === null ? stream.vs_name :
+		    provenance.label()
+	    }
+	});
+}
+
+/*
+ * Returns the provenance information attached to "err" by annotateError(), or
+ * null if there isn't any.  The result has properties:
+ *
+ *     stream		name of the stream that reported the error
+ *
+ *     phase		"transform" or "flush" if the error was reported by the
+ *     			underlying _transform() or _flush() of an instrumented
+ *     			Transform, "write" if it was reported by the underlying
+ *     			_write() or _writev() of an instrumented Writable, or
+ *     			null
+ *
+ *     input		index of the input being processed when the error was
+ *     			reported by _transform() or _write(), or null
+ *
+ *     provenance	array describing where that input came from, starting
+ *     			with the head of the pipeline and ending with the stream
+ *     			that reported the error, each with "stream", "input",
+ *     			and, if there is any, "meta" (see vsAnnotate()).  This
+ *     			is empty if there was no input.
+ *
+ *     containers	names of the container streams (e.g., PipelineStreams)
+ *     			enclosing the stream, innermost first
+ *
+ *     label		human-readable summary of the above (see
+ *     			ProvenanceValue.prototype.label())
+ */
+function errorContext(err)
+{
+	if (typeof (err) != 'object' || err === null ||
+	    !err.hasOwnProperty('vs_errcontext'))
+		return (null);
+
+	return (err.vs_errcontext);
+}
+
+/*
+ * Proxy method for push().  If any of our readers want ProvenanceValues, this
+ * is where we wrap each raw output in a ProvenanceValue derived from the
+ * current context.  See instrumentMarshal() for details.
+ */
+function vsPush(chunk)
+{
+	var augmented;
+
+	mod_assertplus.ok(isInstrumented(this),
+	    'attempted call to vsPush() on uninstrumented Transform');
+
+	if (chunk === null)
+		return (this.vs_realpush(null));
+
+	this.vsCounterBump('noutputs');
+	if (!wantsMarshal(this) || this.vs_provscratch !== null ||
+	    !this._readableState.objectMode) {
+		return (this.vs_realpush(chunk));
+	} else {
+		if (this.vs_derivefrom !== null)
+			augmented = ProvenanceValue.derive(
+			    chunk, this, this.vs_derivefrom);
+		else if (this.vs_pushwith !== null)
+			augmented = this.vs_pushwith.next(chunk, this);
+		else if (this.vs_deferred !== null)
+			augmented = this.vs_deferred.di_context.next(
+			    chunk, this);
+		else if (this.vs_context !== null)
+			augmented = this.vs_context.next(chunk, this);
+		else
+			augmented = new ProvenanceValue(chunk);	/* no input */
+		return (this.vs_realpush(augmented));
+	}
+}
+
+/*
+ * Set (or, if "policy" is null, remove) the ProvenancePolicy for this
+ * Transform.  This should be done before data starts flowing.  If the policy
+ * disables provenance tracking, this stream pushes raw values (never
+ * ProvenanceValues), and rather than allocating a ProvenanceValue for each raw
+ * input, it reuses a single one.  The current input's provenance (e.g., as
+ * passed to 'warn' listeners) then only describes this stream.
+ */
+function vsSetProvenancePolicy(policy)
+{
+	mod_assertplus.ok(policy === null || policy instanceof ProvenancePolicy,
+	    'policy must be a ProvenancePolicy or null');
+
+	this.vs_provpolicy = policy;
+	this.vs_provlast = null;
+	this.vs_provscratch = policy !== null && !policy.pp_enabled ?
+	    new ProvenanceValue() : null;
+}
+
+/*
+ * Returns the ProvenanceValue for the input currently being processed, as seen
+ * by this Transform (i.e., including this stream's own step, with its input
+ * index and any metadata from vsAnnotate()).  A Transform that combines several
+ * inputs into one output (like a batching or joining stream) can save these
+ * and later pass them to vsPushFrom().
+ */
+function vsContext()
+{
+	mod_assertplus.ok(this.vs_context !== null,
+	    'vsContext() called outside of _transform() or _flush()');
+	return (this.vs_context.withSource(this));
+}
+
+/*
+ * Like push(), but declares that "chunk" was derived from all of the inputs
+ * described by "contexts", an array of values returned by vsContext(), rather
+ * than just the current input.  The resulting provenance is a DAG: see
+ * ProvenanceValue.derive().
+ */
+function vsPushFrom(chunk, contexts)
+{
+	var rv;
+
+	mod_assertplus.ok(chunk !== null, 'vsPushFrom() cannot end the stream');
+	mod_assertplus.ok(Array.isArray(contexts) && contexts.length > 0,
+	    'contexts must be a non-empty array');
+	mod_assertplus.ok(this.vs_derivefrom === null);
+
+	this.vs_derivefrom = contexts;
+	try {
+		rv = this.push(chunk);
+	} finally {
+		this.vs_derivefrom = null;
+	}
+
+	return (rv);
+}
+
+/*
+ * Like push(), but the provenance of "chunk" continues from "context", a
+ * ProvenanceValue that didn't arrive with the current input (e.g., one restored
+ * with ProvenanceValue.fromJSON()), rather than from the current input's own
+ * provenance.  This stream's step for the current input is still appended.
+ * See ProvenanceDecoder.
+ */
+function vsPushWith(chunk, context)
+{
+	var rv;
+
+	mod_assertplus.ok(chunk !== null, 'vsPushWith() cannot end the stream');
+	mod_assertplus.ok(context instanceof ProvenanceValue,
+	    'context must be a ProvenanceValue');
+	mod_assertplus.ok(this.vs_pushwith === null);
+
+	this.vs_pushwith = context;
+	try {
+		rv = this.push(chunk);
+	} finally {
+		this.vs_pushwith = null;
+	}
+
+	return (rv);
+}
+
+/*
+ * Returns a DeferredInput for the input currently being processed.  Transforms
+ * that keep working on an input after invoking the _transform() callback
+ * (e.g., pushing outputs from a timer, or processing several inputs
+ * concurrently) use this to push those outputs, and to report errors about
+ * that input, with the right provenance.  Outputs pushed with plain push() at
+ * such times are attributed to whichever input is being processed when push()
+ * is called, if any.  Metadata added with vsAnnotate() after this call is not
+ * included in the result's provenance.
+ */
+function vsDefer()
+{
+	var context;
+
+	mod_assertplus.ok(this.vs_context !== null,
+	    'vsDefer() called outside of _transform() or _flush()');
+
+	/*
+	 * When provenance is disabled, the context is reused for the next
+	 * input (see vsSetProvenancePolicy()), so save a copy of it.
+	 */
+	context = this.vs_context;
+	if (context === this.vs_provscratch)
+		context = new ProvenanceValue(context.pv_value);
+
+	return (new DeferredInput(this, context,
+	    this.vs_counters['ninputs'] || 0, this.vs_contextmeta));
+}
+
+/*
+ * Remembers input number "input" to instrumented Transform "transform" (along
+ * with its provenance, "context", and metadata from vsAnnotate(), "meta") so
+ * that outputs and errors can be attributed to it after the transform has moved
+ * on to other inputs.  See vsDefer().  Instrumented Writables use this to
+ * attribute errors, too (see writeFailed()).
+ */
+function DeferredInput(transform, context, input, meta)
+{
+	this.di_transform = transform;
+	this.di_context = context;
+	this.di_input = input;
+	this.di_meta = meta;
+}
+
+/*
+ * Invoke "func" with this input's Transform, which behaves as though it were
+ * processing this input again.
+ */
+DeferredInput.prototype.run = function (func)
+{
+	var transform = this.di_transform;
+
+	mod_assertplus.ok(transform.vs_deferred === null);
+	transform.vs_deferred = this;
+	try {
+		return (func(transform));
+	} finally {
+		transform.vs_deferred = null;
+	}
+};
+
+/*
+ * Like the Transform's push(), but "chunk" is attributed to this input.
+ */
+DeferredInput.prototype.push = function (chunk)
+{
+	mod_assertplus.ok(chunk !== null,
+	    'DeferredInput cannot end the stream');
+	return (this.run(function (transform) {
+		return (transform.push(chunk));
+	}));
+};
+
+/*
+ * Like the Transform's vsContext(), but for this input.
+ */
+DeferredInput.prototype.context = function ()
+{
+	var context = this.di_context;
+
+	return (this.run(function (transform) {
+		return (context.withSource(transform));
+	}));
+};
+
+/*
+ * Report that processing this input failed with "err", as though the
+ * _transform() callback had been invoked with it: the error is annotated with
+ * this input's provenance and either emitted (destroying the Transform) or,
+ * with the "deadLetter" option, the input is rejected.
+ */
+DeferredInput.prototype.fail = function (err)
+{
+	var context = this.di_context;
+
+	this.run(function (transform) {
+		annotateError(err, transform, 'transform', context);
+		if (transform.vs_deadletter !== null) {
+			rejectInput(transform, context, err);
+			return;
+		}
+
+		vsLog(transform, 'error', context, { 'err': err },
+		    'transform failed');
+		transform.destroy(err);
+	});
+};
+
+/*
+ * Returns the index of the input that instrumented Transform "stream" is
+ * processing, which is usually the number of inputs it has seen, unless it's
+ * acting for a DeferredInput.
+ */
+function currentInput(stream)
+{
+	if (stream.vs_deferred)
+		return (stream.vs_deferred.di_input);
+	return (stream.vs_counters['ninputs'] || 0);
+}
+
+/*
+ * Returns the metadata for the input returned by currentInput(), if any.
+ */
+function currentMeta(stream)
+{
+	if (stream.vs_deferred)
+		return (stream.vs_deferred.di_meta || null);
+	return (stream.vs_contextmeta || null);
+}
+
+/*
+ * A ProvenanceValue is just a wrapper for a value that keeps track of a stack
+ * of provenance information.  Instances of this class are read-only, but all
+ * fields are publicly accessible.  Each entry in the stack ("step") has
+ * properties:
+ *
+ *     pvp_source	name of the stream that processed the value
+ *
+ *     pvp_input	index of the input that stream was processing, or null
+ *     			for steps created with ProvenanceValue.seed()
+ *
+ *     [pvp_meta]	object describing the input in more detail, like a file
+ *     			name, line number, byte offset, or record key (see
+ *     			vsAnnotate())
+ *
+ * A ProvenancePolicy may replace steps in the middle of the stack with a single
+ * step whose "pvp_elided" is the number of steps omitted.  With such a policy,
+ * values may also share their stack with other values (see
+ * SharedProvenanceValue), which is one more reason not to modify it.
+ *
+ * Values derived from several inputs (see ProvenanceValue.derive()) start with
+ * a step that also has:
+ *
+ *     pvp_inputs	indexes of all of the inputs the value was derived from
+ *
+ *     pvp_from		array of the provenance stacks of each of those inputs
+ *     			before they reached this stream
+ *
+ * so the provenance as a whole forms a DAG.
+ */
+function ProvenanceValue(value)
+{
+	this.pv_value = value;
+	this.pv_provenance = [];
+}
+
+/*
+ * Returns a new ProvenanceValue for "value" whose provenance starts with a step
+ * for "source", the name of whatever produced it (like a file name), with the
+ * given metadata (see vsAnnotate()).  This is useful for sources that aren't
+ * instrumented Transforms (like the head of a pipeline) to describe where each
+ * value came from.  Such a source can push these directly to an instrumented
+ * Transform.
+ */
+ProvenanceValue.seed = function (value, source, meta)
+{
+	var rv;
+
+	mod_assertplus.string(source, 'source');
+	mod_assertplus.optionalObject(meta, 'meta');
+
+	rv = new ProvenanceValue(value);
+	rv.pv_provenance.push(makeStep(source, null, meta || null));
+	return (rv);
+};
+
+/*
+ * Returns a new ProvenanceValue for "value", which instrumented Transform
+ * "source" derived from several inputs.  "parents" is an array of
+ * ProvenanceValues for those inputs as returned by source.vsContext().
+ */
+ProvenanceValue.derive = function (value, source, parents)
+{
+	var policy = source.vs_provpolicy || null;
+	var rv, step;
+
+	mod_assertplus.ok(isInstrumented(source));
+	mod_assertplus.arrayOfObject(parents, 'parents');
+
+	step = makeStep(source.vs_name, currentInput(source),
+	    currentMeta(source));
+	step.pvp_inputs = [];
+	step.pvp_from = [];
+	parents.forEach(function (p) {
+		var last;
+
+		mod_assertplus.ok(p instanceof ProvenanceValue,
+		    'parents must be ProvenanceValues');
+		last = p.pv_provenance[p.pv_provenance.length - 1];
+		mod_assertplus.ok(last !== undefined &&
+		    last.pvp_source == source.vs_name,
+		    'parents must come from source.vsContext()');
+		step.pvp_inputs.push(last.pvp_input);
+		step.pvp_from.push(policy === null ?
+		    p.pv_provenance.slice(0, -1) :
+		    policy.truncate(p.pv_provenance.slice(0, -1)));
+	});
+
+	rv = new ProvenanceValue(value);
+	rv.pv_provenance.push(step);
+	return (rv);
+};
+
+/*
+ * Returns a new ProvenanceValue for "newvalue", which instrumented stream
+ * "source" produced from this value.  If "source" has a ProvenancePolicy, the
+ * result's provenance is truncated and shared as the policy specifies.
+ */
+ProvenanceValue.prototype.next = function (newvalue, source)
+{
+	var rv, policy, input, meta, last, node;
+
+	mod_assertplus.ok(isInstrumented(source));
+	policy = source.vs_provpolicy || null;
+	input = currentInput(source);
+	meta = currentMeta(source);
+
+	if (policy === null || !policy.pp_share) {
+		rv = new ProvenanceValue(newvalue);
+		rv.pv_provenance = this.pv_provenance.slice(0);
+		rv.pv_provenance.push(makeStep(source.vs_name, input, meta));
+		if (policy !== null)
+			rv.pv_provenance = policy.truncate(rv.pv_provenance);
+		return (rv);
 	}
 
 	/*
-	 * Marshaling mode: this determines whether we wrap values emitted by
-	 * the underlying _transform() function in a ProvenanceValue object.  We
-	 * want to do this if the reader is another instrumented Transform
-	 * object.  That's how we propagate provenance information.  But we must
-	 * not do this if the reader is anything else because they will be
-	 * expecting the raw value.
-	 *
-	 * Our marshalmode starts out as "unspecified".  If we're piped to
-	 * another instrumented Transform, that instance will update this value
-	 * to 'marshal'.  When we emit the first datum, if marshalmode is still
-	 * 'unspecified', we'll commit to 'nomarshal'.  This algorithm handles
-	 * simple pipelines of all kinds of streams as well as callers using
-	 * read() directly or listening for 'data' events.  There are some other
-	 * cases, including where this stream is piped to an instrumented
-	 * Transform *and* another stream.  These are considered unlikely.
+	 * Values pushed for the same input with the same metadata have the
+	 * same provenance, so they share it outright.  Otherwise, the new
+	 * value's provenance shares everything but its last step with this
+	 * value's.
 	 */
-	transform.vs_marshalmode = 'unspecified';
-	transform.on('pipe', function (upstream) {
-		/* XXX embedding knowledge of PipelineStream */
-		if (upstream.hasOwnProperty('ps_streams')) {
-			upstream = upstream.ps_streams[
-			    upstream.ps_streams.length - 1];
-		}
+	last = source.vs_provlast;
+	if (last !== null && last.context === this &&
+	    last.input === input && last.meta === meta) {
+		node = last.node;
+	} else {
+		node = new ProvenanceNode(provenanceNode(this),
+		    makeStep(source.vs_name, input, meta), policy);
+		if (last === null)
+			last = source.vs_provlast = {};
+		last.context = this;
+		last.input = input;
+		last.meta = meta;
+		last.node = node;
+	}
+
+	return (new SharedProvenanceValue(newvalue, node));
+};
+
+ProvenanceValue.prototype.withSource = function (source)
+{
+	return (this.next(this.pv_value, source));
+};
+
+ProvenanceValue.prototype.label = function ()
+{
+	var value = 'value ' + mod_util.inspect(this.pv_value, false, 4);
+
+	if (this.pv_provenance.length === 0)
+		return (value);
 
-		if (upstream.vs_marshalmode == 'unspecified')
-			upstream.vs_marshalmode = 'marshal';
+	return (chainLabel(this.pv_provenance) + ': ' + value);
+};
+
+/*
+ * Returns a plain object representing this value and its provenance, with
+ * properties "value" and "provenance", an array of steps (oldest first), each
+ * with "stream", "input", and (if present) "meta".  The first step of a value
+ * derived from several inputs also has "inputs" and "from", an array of the
+ * provenance of each of those inputs in the same form.  Steps omitted by a
+ * ProvenancePolicy are represented by an object with just "elided", the number
+ * of steps omitted.
+ */
+ProvenanceValue.prototype.toJSON = function ()
+{
+	return ({
+	    'value': this.pv_value,
+	    'provenance': this.pv_provenance.map(stepToJSON)
 	});
+};
+
+/*
+ * Returns a new ProvenanceValue from "obj", a plain object in the form returned
+ * by toJSON(), typically after a round trip through JSON (e.g., from another
+ * process).  Throws an Error if "obj" is not in that form.
+ */
+ProvenanceValue.fromJSON = function (obj)
+{
+	var rv;
+
+	if (typeof (obj) != 'object' || obj === null ||
+	    !Array.isArray(obj.provenance))
+		throw (new Error('invalid ProvenanceValue: expected object ' +
+		    'with "provenance" array'));
+
+	rv = new ProvenanceValue(obj.value);
+	rv.pv_provenance = obj.provenance.map(stepFromJSON);
+	return (rv);
+};
+
+/*
+ * A SharedProvenanceValue is a ProvenanceValue whose provenance is shared with
+ * other values, as when a ProvenancePolicy allows sharing (see
+ * ProvenanceValue.prototype.next()).  Rather than copying the whole stack of
+ * steps, each one refers to a ProvenanceNode describing its last step, which
+ * in turn refers to the node for the steps before that.  The stack itself
+ * ("pv_provenance") is only assembled when somebody asks for it, which is
+ * usually only when something goes wrong.
+ */
+function SharedProvenanceValue(value, node)
+{
+	this.pv_value = value;
+	this.pv_node = node;
 }
 
+mod_util.inherits(SharedProvenanceValue, ProvenanceValue);
+
+Object.defineProperty(SharedProvenanceValue.prototype, 'pv_provenance', {
+    'get': function () { return (this.pv_node.chain()); }
+});
+
 /*
- * Proxy method for _transform().  This unwraps any existing ProvenanceValue and
- * records the context for any outputs emitted during the call to the underlying
- * transform().  In the future, this is where we could add bunyan log entries
- * or DTrace probes.
+ * Returns the ProvenanceNode for the provenance of "pv", which may be any
+ * ProvenanceValue.
  */
-function vsTransform(chunk, _, callback)
+function provenanceNode(pv)
 {
-	var self = this;
-	var augmented;
+	if (pv instanceof SharedProvenanceValue)
+		return (pv.pv_node);
+	return (new ProvenanceNode(null, pv.pv_provenance, null));
+}
 
-	mod_assertplus.ok(isInstrumented(this),
-	    'attempted call to vsTransform() on uninstrumented Transform');
-	mod_assertplus.ok(this.vs_context === null);
+/*
+ * A ProvenanceNode is one link in a chain of provenance steps shared by one or
+ * more SharedProvenanceValues.  The node at the root of the chain holds an
+ * array of steps ("pn_steps"), and each node after that adds one step to the
+ * steps of its parent.  The node created by a Transform with a ProvenancePolicy
+ * applies the policy's maximum depth when the stack is assembled.
+ *
+ * A long chain of nodes takes more memory than an array of the same steps, and
+ * the policy's maximum depth must bound the memory used, not just what's
+ * reported.  So once a node is more than PN_MAXLINKS links from its root, or
+ * its stack is well past the maximum depth, it assembles its stack right away
+ * and becomes a new root, letting go of the rest of the chain.  This still
+ * copies the stack much less often than giving each value its own copy.
+ *
+ * A node that's not a root is constructed with its "parent" node, its "step",
+ * and the "policy" of the Transform that created it.  A root is constructed
+ * with a null parent, its array of steps, and a null policy.
+ */
+var PN_MAXLINKS = 16;
 
-	if (chunk instanceof ProvenanceValue)
-		augmented = chunk;
-	else
-		augmented = new ProvenanceValue(chunk);
+function ProvenanceNode(parent, step, policy)
+{
+	this.pn_cache = null;		/* assembled stack, if any */
+	this.pn_policy = policy;
+
+	if (parent === null) {
+		this.pn_parent = null;
+		this.pn_step = null;
+		this.pn_steps = step;
+		this.pn_length = step.length;
+		this.pn_links = 0;
+		return;
+	}
 
-	this.vsCounterBump('ninputs');
-	this.vs_context = augmented;
-	this.vs_realtransform(augmented.pv_value, _, function (err, newchunk) {
-		/*
-		 * This check is annoying, but it's the only way we can detect
-		 * whether someone's doing something with the API that we don't
-		 * know how to handle.  We could likely avoid interpreting the
-		 * arguments at all and just pass them straight through to the
-		 * original callback, but that callback may end up invoking
-		 * _transform again without a way for us to know that it
-		 * happened, and we'd blow our assertion that vs_context ===
-		 * null.  We could also loosen that invariant and just assume
-		 * that we're maintaining vs_context correctly, but it's worth
-		 * adding a stricter check while it's not too painful.
-		 */
-		mod_assertplus.ok(arguments.length < 3,
-		    '_transform callback passed more arguments than expected');
-		mod_assertplus.ok(self.vs_context === augmented);
+	this.pn_parent = parent;
+	this.pn_step = step;
+	this.pn_steps = null;
+	this.pn_length = parent.pn_length + 1;
+	this.pn_links = parent.pn_links + 1;
+
+	if (this.pn_links > PN_MAXLINKS || (policy.pp_maxdepth !== null &&
+	    this.pn_length > 2 * policy.pp_maxdepth)) {
+		this.pn_steps = this.chain();
+		this.pn_parent = null;
+		this.pn_step = null;
+		this.pn_length = this.pn_steps.length;
+		this.pn_links = 0;
+	}
+}
 
-		if (!err && arguments.length > 1) {
-			self.push(newchunk);
-			mod_assertplus.ok(self.vs_context === augmented);
+/*
+ * Returns the stack of provenance steps for this node, oldest first.
+ */
+ProvenanceNode.prototype.chain = function ()
+{
+	var steps, node, rv;
+
+	if (this.pn_cache !== null)
+		return (this.pn_cache);
+
+	steps = [];
+	for (node = this; node.pn_steps === null; node = node.pn_parent)
+		steps.push(node.pn_step);
+
+	rv = node.pn_steps.concat(steps.reverse());
+	if (this.pn_policy !== null)
+		rv = this.pn_policy.truncate(rv);
+
+	this.pn_cache = rv;
+	return (rv);
+};
+
+/*
+ * Returns a new provenance step.  See ProvenanceValue.
+ */
+function makeStep(source, input, meta)
+{
+	var step = { 'pvp_source': source, 'pvp_input': input };
+
+	if (meta !== null)
+		step.pvp_meta = meta;
+
+	return (step);
+}
+
+/*
+ * Returns the human-readable description of a provenance stack, newest step
+ * first, like "Parser input 3 from LineStream input 1".
+ */
+function chainLabel(chain)
+{
+	var parts, rv;
+
+	parts = chain.map(stepLabel).reverse();
+	rv = parts.join(' from ');
+	if (chain.length > 0 && chain[0].pvp_from &&
+	    chain[0].pvp_from.some(function (c) { return (c.length > 0); }))
+		rv += ' from ' + summarizeChains(chain[0].pvp_from);
+
+	return (rv);
+}
+
+/*
+ * Returns the human-readable description of a provenance step, like "LineStream
+ * input 3 (file x.log, line 3)".
+ */
+function stepLabel(step)
+{
+	var rv = step.pvp_source;
+
+	if (step.hasOwnProperty('pvp_elided'))
+		return (step.pvp_elided + ' other ' +
+		    (step.pvp_elided == 1 ? 'step' : 'steps'));
+
+	if (step.pvp_inputs)
+		rv += ' ' + summarizeInputs(step.pvp_inputs);
+	else if (step.pvp_input !== null)
+		rv += ' input ' + step.pvp_input;
+
+	if (step.pvp_meta) {
+		rv += ' (' + Object.keys(step.pvp_meta).map(function (k) {
+			return (k + ' ' + step.pvp_meta[k]);
+		}).join(', ') + ')';
+	}
+
+	return (rv);
+}
+
+/*
+ * Returns a summary of several provenance stacks, as for the inputs to a value
+ * derived from several inputs.  Stacks with the same sequence of streams are
+ * summarized together with ranges of inputs and metadata, like "LineStream
+ * inputs 1-100 from x.log (line 1-100)".  Stacks that differ are described
+ * separately, in parentheses.
+ */
+function summarizeChains(chains)
+{
+	var groups, keys, parts;
+
+	groups = {};
+	keys = [];
+	chains.forEach(function (chain, i) {
+		var key;
+
+		if (chain.length === 0)
+			return;
+
+		key = chain.some(function (s) {
+			return (s.pvp_from || s.hasOwnProperty('pvp_elided'));
+		    }) ?
+		    'chain ' + i : 'sources ' + JSON.stringify(chain.map(
+		    function (s) { return (s.pvp_source); }));
+		if (!groups.hasOwnProperty(key)) {
+			groups[key] = [];
+			keys.push(key);
 		}
+		groups[key].push(chain);
+	});
 
-		self.vs_context = null;
-		callback.apply(null,
-		    Array.prototype.slice.call(arguments, 0, 1));
+	parts = keys.map(function (key) {
+		var group = groups[key];
+		var levels = [];
+		var i;
+
+		if (group.length == 1)
+			return (chainLabel(group[0]));
+
+		for (i = group[0].length - 1; i >= 0; i--) {
+			levels.push(summarizeSteps(group.map(
+			    function (c) { return (c[i]); })));
+		}
+
+		return (levels.join(' from '));
 	});
+
+	return (parts.length == 1 ? parts[0] : '(' + parts.join('; ') + ')');
 }
 
 /*
- * Proxy method for _flush().  Like vsTransform(), this maintains the current
- * context around the call to the underlying _flush(), and this would be a good
- * place to add bunyan log entries and DTrace probes.
+ * Returns a summary of several provenance steps for the same stream.
  */
-function vsFlush(callback)
+function summarizeSteps(steps)
 {
-	var self = this;
-	var augmented;
+	var rv, inputs, keys;
+
+	rv = steps[0].pvp_source;
+	inputs = steps.map(function (s) { return (s.pvp_input); }).filter(
+	    function (input) { return (input !== null); });
+	if (inputs.length > 0)
+		rv += ' ' + summarizeInputs(inputs);
+
+	keys = [];
+	steps.forEach(function (s) {
+		if (!s.pvp_meta)
+			return;
+		Object.keys(s.pvp_meta).forEach(function (k) {
+			if (keys.indexOf(k) == -1)
+				keys.push(k);
+		});
+	});
 
-	mod_assertplus.ok(isInstrumented(this),
-	    'attempted call to vsFlush() on uninstrumented Transform');
-	mod_assertplus.ok(this.vs_context === null);
+	if (keys.length > 0) {
+		rv += ' (' + keys.map(function (k) {
+			return (k + ' ' + summarizeMeta(steps, k));
+		}).join(', ') + ')';
+	}
 
-	augmented = new ProvenanceValue();
-	this.vs_context = augmented;
-	this.vs_realflush(function () {
-		mod_assertplus.ok(self.vs_context === augmented);
-		self.vs_context = null;
-		callback.apply(null, Array.prototype.slice.call(arguments));
-	});
+	return (rv);
 }
 
 /*
- * Proxy method for push().  If we're configured to marshal the raw outputs,
- * this is where we wrap each raw output in a ProvenanceValue derived from the
- * current context.  This is also where we commit to a mrashaling mode if we
- * haven't done so already.  See instrumentTransform() for details.
+ * Returns a summary of the values of metadata field "key" for several
+ * provenance steps: the value itself if they're all the same, ranges if
+ * they're numbers, or else just the number of different values.
  */
-function vsPush(chunk)
+function summarizeMeta(steps, key)
 {
-	var augmented;
+	var values = [];
 
-	mod_assertplus.ok(isInstrumented(this),
-	    'attempted call to vsPush() on uninstrumented Transform');
-	mod_assertplus.ok(chunk === null || this.vs_context !== null);
+	steps.forEach(function (s) {
+		if (s.pvp_meta && s.pvp_meta.hasOwnProperty(key) &&
+		    values.indexOf(s.pvp_meta[key]) == -1)
+			values.push(s.pvp_meta[key]);
+	});
 
-	if (chunk === null)
-		return (this.vs_realpush(null));
+	if (values.length == 1)
+		return (String(values[0]));
 
-	this.vsCounterBump('noutputs');
-	if (this.vs_marshalmode == 'unspecified')
-		this.vs_marshalmode = 'nomarshal';
+	if (values.every(function (v) { return (typeof (v) == 'number'); }))
+		return (summarizeRanges(values));
 
-	if (this.vs_marshalmode == 'nomarshal') {
-		return (this.vs_realpush(chunk));
-	} else {
-		augmented = this.vs_context.next(chunk, this);
-		return (this.vs_realpush(augmented));
-	}
+	return ('(' + values.length + ' values)');
 }
 
 /*
- * A ProvenanceValue is just a wrapper for a value that keeps track of a stack
- * of provenance information.  Instances of this class are read-only, but all
- * fields are publicly accessible.
+ * Returns a description of a list of input indexes, like "input 3" or "inputs
+ * 1-3, 7".
  */
-function ProvenanceValue(value)
+function summarizeInputs(inputs)
 {
-	this.pv_value = value;
-	this.pv_provenance = [];
+	var unique = inputs.filter(function (n, i) {
+		return (inputs.indexOf(n) == i);
+	});
+
+	return ((unique.length == 1 ? 'input ' : 'inputs ') +
+	    summarizeRanges(unique));
 }
 
-ProvenanceValue.prototype.next = function (newvalue, source)
+/*
+ * Returns a compact description of a list of integers, like "1-3, 7, 9-10".
+ */
+function summarizeRanges(values)
+{
+	var sorted, parts, start, i;
+
+	sorted = values.slice(0).sort(function (a, b) { return (a - b); });
+	parts = [];
+	start = 0;
+	for (i = 1; i <= sorted.length; i++) {
+		if (i < sorted.length && sorted[i] <= sorted[i - 1] + 1)
+			continue;
+
+		parts.push(start == i - 1 ? String(sorted[start]) :
+		    sorted[start] + '-' + sorted[i - 1]);
+		start = i;
+	}
+
+	return (parts.join(', '));
+}
+
+/*
+ * Returns the plain-object representation of a provenance step.  See
+ * ProvenanceValue.prototype.toJSON().
+ */
+function stepToJSON(step)
 {
 	var rv;
 
-	mod_assertplus.ok(isInstrumented(source));
-	rv = new ProvenanceValue(newvalue);
-	rv.pv_provenance = this.pv_provenance.slice(0);
-	rv.pv_provenance.push({
-	    'pvp_source': source.vs_name,
-	    'pvp_input': source.vs_counters['ninputs'] || 0
-	});
+	if (step.hasOwnProperty('pvp_elided'))
+		return ({ 'elided': step.pvp_elided });
+
+	rv = { 'stream': step.pvp_source, 'input': step.pvp_input };
+
+	if (step.pvp_meta)
+		rv.meta = step.pvp_meta;
+
+	if (step.pvp_inputs) {
+		rv.inputs = step.pvp_inputs.slice(0);
+		rv.from = step.pvp_from.map(function (chain) {
+			return (chain.map(stepToJSON));
+		});
+	}
+
 	return (rv);
-};
+}
 
-ProvenanceValue.prototype.withSource = function (source)
+/*
+ * Returns the provenance step represented by "obj", a plain object returned by
+ * stepToJSON().  Throws an Error if "obj" is not in that form.
+ */
+function stepFromJSON(obj)
 {
-	return (this.next(this.pv_value, source));
-};
+	var rv;
 
-ProvenanceValue.prototype.label = function ()
-{
-	var parts;
+	if (typeof (obj) != 'object' || obj === null)
+		throw (invalidStep(obj, 'expected object'));
+
+	if (obj.hasOwnProperty('elided')) {
+		if (typeof (obj.elided) != 'number' || obj.elided < 1)
+			throw (invalidStep(obj,
+			    '"elided" must be a positive number'));
+		return ({
+		    'pvp_source': null,
+		    'pvp_input': null,
+		    'pvp_elided': obj.elided
+		});
+	}
 
-	parts = this.pv_provenance.map(function (p) {
-		return (p.pvp_source + ' input ' + p.pvp_input);
-	}).reverse();
+	if (typeof (obj.stream) != 'string')
+		throw (invalidStep(obj, '"stream" must be a string'));
+	if (obj.input !== null && typeof (obj.input) != 'number')
+		throw (invalidStep(obj, '"input" must be a number or null'));
+	if (obj.meta !== undefined &&
+	    (typeof (obj.meta) != 'object' || obj.meta === null))
+		throw (invalidStep(obj, '"meta" must be an object'));
+
+	rv = makeStep(obj.stream, obj.input, obj.meta || null);
+
+	if (obj.inputs !== undefined || obj.from !== undefined) {
+		if (!Array.isArray(obj.inputs) || !Array.isArray(obj.from) ||
+		    obj.inputs.length != obj.from.length ||
+		    !obj.from.every(Array.isArray))
+			throw (invalidStep(obj, '"inputs" and "from" must be ' +
+			    'arrays of the same length'));
+		rv.pvp_inputs = obj.inputs.slice(0);
+		rv.pvp_from = obj.from.map(function (chain) {
+			return (chain.map(stepFromJSON));
+		});
+	}
 
-	return (parts.join(' from ') + ': value ' +
-	    mod_util.inspect(this.pv_value, false, 4));
-};
+	return (rv);
+}
+
+function invalidStep(obj, message)
+{
+	return (new Error('invalid provenance step ' + JSON.stringify(obj) +
+	    ': ' + message));
+}
@@ -0,0 +1,194 @@
+/*
+ * lib/warning-policy.js: limits on the warnings emitted by instrumented
+ * objects, including rate-limiting of 'warn' events and escalation of warnings
+ * to errors.
+ */
+
+var mod_assertplus = require('assert-plus');
+var sprintf = require('extsprintf').sprintf;
+
+/* Public interface */
+module.exports = WarningPolicy;
+
+/*
+ * [kinds]			object mapping each kind of warning to the rule
+ * (object)			for that kind (see below)
+ *
+ * [defaults]			rule for kinds of warnings that don't appear in
+ * (object)			"kinds".  By default, these are unrestricted.
+ *
+ * [interval]			length of the window used for "maxRate" and
+ * (number)			"emitLimit", in milliseconds (default: 1000)
+ *
+ * Each rule may have the following properties, all optional:
+ *
+ *     maxCount		escalate to an error once more than this many warnings
+ *     			of this kind have been reported
+ *
+ *     maxRate		escalate to an error once more than this many warnings
+ *     			of this kind have been reported within one window
+ *
+ *     emitEvery	only emit 'warn' for the first warning of this kind and
+ *     			every "emitEvery"th one after that
+ *
+ *     emitLimit	emit 'warn' for at most this many warnings of this kind
+ *     			in each window
+ *
+ * A policy is attached to an instrumented object with the "warningPolicy"
+ * option to instrumentObject() or with vsSetWarningPolicy().  Every warning is
+ * still counted (see vsWarnings()) regardless of the policy.  The policy keeps
+ * its own counts, so a single policy attached to every stream in a pipeline
+ * (see applyToPipeline()) limits the warnings of the pipeline as a whole.
+ * Each kind of warning is escalated at most once.
+ */
+function WarningPolicy(args)
+{
+	var self = this;
+
+	if (args === undefined)
+		args = {};
+
+	mod_assertplus.object(args, 'args');
+	mod_assertplus.optionalObject(args.kinds, 'args.kinds');
+	mod_assertplus.optionalObject(args.defaults, 'args.defaults');
+	mod_assertplus.optionalNumber(args.interval, 'args.interval');
+
+	this.wp_rules = {};		/* rule for each kind */
+	this.wp_defaults = validateRule(args.defaults || {}, 'args.defaults');
+	this.wp_interval = args.interval || 1000;
+	this.wp_state = {};		/* per-kind state (see check()) */
+
+	if (args.kinds) {
+		Object.keys(args.kinds).forEach(function (kind) {
+			self.wp_rules[kind] = validateRule(args.kinds[kind],
+			    'args.kinds.' + kind);
+		});
+	}
+}
+
+/*
+ * Validate a rule and return it.
+ */
+function validateRule(rule, label)
+{
+	mod_assertplus.object(rule, label);
+	[ 'maxCount', 'maxRate', 'emitEvery', 'emitLimit' ].forEach(
+	    function (p) {
+		mod_assertplus.optionalNumber(rule[p], label + '.' + p);
+	    });
+	mod_assertplus.ok(rule.emitEvery === undefined || rule.emitEvery >= 1,
+	    label + '.emitEvery must be at least 1');
+	return (rule);
+}
+
+/*
+ * Account for a warning of the given kind that was reported at time "now"
+ * (milliseconds since the epoch, defaulting to the current time) and decide
+ * what to do with it.  Returns an object with properties:
+ *
+ *     emit	 boolean indicating whether a 'warn' event should be emitted
+ *
+ *     escalate	 null, or a string describing the limit that was exceeded if
+ *     		 this warning should be escalated to an error
+ */
+WarningPolicy.prototype.check = function (kind, now)
+{
+	var rule, state, emit, escalate;
+
+	mod_assertplus.string(kind, 'kind');
+	mod_assertplus.optionalNumber(now, 'now');
+
+	if (now === undefined)
+		now = Date.now();
+
+	rule = this.wp_rules.hasOwnProperty(kind) ?
+	    this.wp_rules[kind] : this.wp_defaults;
+
+	if (!this.wp_state.hasOwnProperty(kind)) {
+		this.wp_state[kind] = {
+		    'count': 0,		/* total warnings */
+		    'suppressed': 0,	/* warnings not emitted */
+		    'windowstart': now,	/* start of current window */
+		    'windowcount': 0,	/* warnings in current window */
+		    'windowemitted': 0,	/* 'warn' events in current window */
+		    'escalated': false	/* whether we've escalated */
+		};
+	}
+
+	state = this.wp_state[kind];
+	if (now - state.windowstart >= this.wp_interval) {
+		state.windowstart = now;
+		state.windowcount = 0;
+		state.windowemitted = 0;
+	}
+
+	state.count++;
+	state.windowcount++;
+
+	emit = (rule.emitEvery === undefined ||
+	    (state.count - 1) % rule.emitEvery === 0) &&
+	    (rule.emitLimit === undefined ||
+	    state.windowemitted < rule.emitLimit);
+	if (emit)
+		state.windowemitted++;
+	else
+		state.suppressed++;
+
+	escalate = null;
+	if (!state.escalated) {
+		if (rule.maxCount !== undefined &&
+		    state.count > rule.maxCount) {
+			escalate = sprintf('too many "%s" warnings ' +
+			    '(%d, limit %d)', kind, state.count,
+			    rule.maxCount);
+		} else if (rule.maxRate !== undefined &&
+		    state.windowcount > rule.maxRate) {
+			escalate = sprintf('too many "%s" warnings ' +
+			    '(%d in %dms, limit %d)', kind, state.windowcount,
+			    this.wp_interval, rule.maxRate);
+		}
+
+		if (escalate !== null)
+			state.escalated = true;
+	}
+
+	return ({ 'emit': emit, 'escalate': escalate });
+};
+
+/*
+ * Returns an object mapping each kind of warning reported to this policy to an
+ * object with the total "count" of warnings and the number of those that were
+ * "suppressed" (i.e., for which no 'warn' event was emitted).
+ */
+WarningPolicy.prototype.counts = function ()
+{
+	var self = this;
+	var rv = {};
+
+	Object.keys(this.wp_state).forEach(function (kind) {
+		rv[kind] = {
+		    'count': self.wp_state[kind].count,
+		    'suppressed': self.wp_state[kind].suppressed
+		};
+	});
+
+	return (rv);
+};
+
+/*
+ * Attach this policy to every instrumented stream reachable from "stream" (see
+ * vsWalkGraph()).
+ */
+WarningPolicy.prototype.applyToPipeline = function (stream)
+{
+	var self = this;
+
+	mod_assertplus.object(stream, 'stream');
+	mod_assertplus.ok(typeof (stream.vsWalkGraph) == 'function',
+	    'stream has not been instrumented');
+
+	stream.vsWalkGraph(function (s) {
+		if (typeof (s.vsSetWarningPolicy) == 'function')
+			s.vsSetWarningPolicy(self);
+	});
+};
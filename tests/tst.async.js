@@ -0,0 +1,378 @@
+/*
+ * Test the async iterator and promise interfaces.
+ */
+
+var mod_assert = require('assert');
+var mod_stream = require('stream');
+var mod_util = require('util');
+var mod_vasync = require('vasync');
+var mod_vstream = require('../lib/vstream');
+
+var done;
+
+/*
+ * Returns an object-mode Readable stream that emits each of "values".
+ */
+function source(values)
+{
+	var rv = new mod_stream.Readable({ 'objectMode': true });
+	values = values.slice(0);
+	rv._read = function () {
+		this.push(values.length > 0 ? values.shift() : null);
+	};
+	return (rv);
+}
+
+/*
+ * Transform that upper-cases each input, failing on the input "bad".
+ */
+function Upper(name)
+{
+	mod_stream.Transform.call(this, { 'objectMode': true });
+	mod_vstream.wrapTransform(this, name);
+}
+
+mod_util.inherits(Upper, mod_stream.Transform);
+
+Upper.prototype._transform = function (chunk, _, callback)
+{
+	if (chunk == 'bad')
+		callback(new Error('bad input'));
+	else
+		callback(null, chunk.toUpperCase());
+};
+
+/*
+ * Returns a pipeline of a source emitting "values" followed by two Upper
+ * streams called "u1" and "u2".
+ */
+function pipeline(values)
+{
+	var head, u1, u2;
+
+	head = mod_vstream.wrapStream(source(values), 'source');
+	u1 = new Upper('u1');
+	u2 = new Upper('u2');
+	head.pipe(u1);
+	u1.pipe(u2);
+	return ({ 'head': head, 'u1': u1, 'u2': u2 });
+}
+
+/*
+ * Consume "iter" until it's done, invoking callback(err, values).
+ */
+function drain(iter, callback)
+{
+	var values = [];
+
+	function next() {
+		iter.next().then(function (result) {
+			if (result.done) {
+				callback(null, values);
+				return;
+			}
+
+			values.push(result.value);
+			next();
+		}, function (err) {
+			callback(err, values);
+		});
+	}
+
+	next();
+}
+
+/*
+ * Test iterating over the values emitted by a pipeline with their provenance.
+ */
+function testIterate(_, callback)
+{
+	var p, iter;
+
+	console.log('test: iterate with provenance');
+
+	p = pipeline([ 'a', 'b' ]);
+	iter = mod_vstream.iterate(p.u2);
+	mod_assert.strictEqual(iter[Symbol.asyncIterator](), iter);
+	drain(iter, function (err, values) {
+		mod_assert.ok(!err);
+		mod_assert.deepEqual(values, [ {
+		    'value': 'A',
+		    'provenance': [
+			{ 'stream': 'u1', 'input': 1 },
+			{ 'stream': 'u2', 'input': 1 }
+		    ],
+		    'label': 'u2 input 1 from u1 input 1: value \'A\''
+		}, {
+		    'value': 'B',
+		    'provenance': [
+			{ 'stream': 'u1', 'input': 2 },
+			{ 'stream': 'u2', 'input': 2 }
+		    ],
+		    'label': 'u2 input 2 from u1 input 2: value \'B\''
+		} ]);
+		callback();
+	});
+}
+
+/*
+ * Test iterating over raw values.
+ */
+function testIterateRaw(_, callback)
+{
+	var p, plain;
+
+	console.log('test: iterate raw values');
+
+	/*
+	 * Other readers are unaffected by the iterator, and streams that don't
+	 * track provenance report none.
+	 */
+	p = pipeline([ 'a', 'b' ]);
+	plain = [];
+	p.u2.on('data', function (c) { plain.push(c); });
+	drain(mod_vstream.iterate(p.u2, { 'provenance': false }),
+	    function (err, values) {
+		mod_assert.ok(!err);
+		mod_assert.deepEqual(values, [ 'A', 'B' ]);
+		mod_assert.deepEqual(plain, [ 'A', 'B' ]);
+
+		drain(mod_vstream.iterate(source([ 'c' ])),
+		    function (err2, values2) {
+			mod_assert.ok(!err2);
+			mod_assert.deepEqual(values2, [ {
+			    'value': 'c',
+			    'provenance': [],
+			    'label': 'value \'c\''
+			} ]);
+			callback();
+		});
+	});
+}
+
+/*
+ * Returns the strings "v0" through "v19".
+ */
+function manyValues()
+{
+	var values = [];
+
+	while (values.length < 20)
+		values.push('v' + values.length);
+
+	return (values);
+}
+
+/*
+ * Test that iterate() pauses the stream when values aren't being consumed.
+ */
+function testBackpressure(_, callback)
+{
+	var p, iter;
+
+	console.log('test: iterate with backpressure');
+
+	p = pipeline(manyValues());
+	iter = mod_vstream.iterate(p.u2,
+	    { 'provenance': false, 'highWaterMark': 2 });
+
+	iter.next().then(function (first) {
+		mod_assert.deepEqual(first, { 'value': 'V0', 'done': false });
+		setImmediate(function () {
+			/* Nobody's asking for more, so the stream is paused. */
+			mod_assert.ok(p.u2.isPaused());
+			drain(iter, function (err, rest) {
+				mod_assert.ok(!err);
+				mod_assert.equal(rest.length, 19);
+				mod_assert.equal(rest[18], 'V19');
+				callback();
+			});
+		});
+	});
+}
+
+/*
+ * Test stopping iteration early, as "break" does in a "for await" loop.
+ */
+function testReturn(_, callback)
+{
+	var p, iter;
+
+	console.log('test: stop iterating early');
+
+	p = pipeline(manyValues());
+	iter = mod_vstream.iterate(p.u2, { 'highWaterMark': 4 });
+	iter.next().then(function (r) {
+		mod_assert.equal(r.value.value, 'V0');
+		return (iter['return']());
+	}).then(function (r) {
+		mod_assert.deepEqual(r, { 'value': undefined, 'done': true });
+		mod_assert.ok(p.u2.isPaused());
+		mod_assert.equal(p.u2.listenerCount('data'), 0);
+		return (iter.next());
+	}).then(function (r) {
+		mod_assert.equal(r.done, true);
+		callback();
+	});
+}
+
+/*
+ * Test an error emitted while iterating.
+ */
+function testIterateError(_, callback)
+{
+	var p;
+
+	console.log('test: iterate with error');
+
+	p = pipeline([ 'a', 'bad', 'c' ]);
+	drain(mod_vstream.iterate(p.u1), function (err, values) {
+		mod_assert.equal(err.message, 'bad input');
+		mod_assert.equal(mod_vstream.errorContext(err).label,
+		    'u1 input 2: value \'bad\'');
+		mod_assert.deepEqual(values.map(function (v) {
+			return (v.value);
+		}), [ 'A' ]);
+		callback();
+	});
+}
+
+/*
+ * Test calling next() again before the previous call has completed, and
+ * iterating over streams that have already ended or been destroyed.
+ */
+function testIterateOverlap(_, callback)
+{
+	var p, iter, s;
+
+	console.log('test: overlapping next() calls');
+
+	p = pipeline([ 'a', 'b' ]);
+	iter = mod_vstream.iterate(p.u2, { 'provenance': false });
+	Promise.all([ iter.next(), iter.next(), iter.next() ]).then(
+	    function (results) {
+		mod_assert.deepEqual(results, [
+		    { 'value': 'A', 'done': false },
+		    { 'value': 'B', 'done': false },
+		    { 'value': undefined, 'done': true }
+		]);
+
+		/* p.u2 has now ended. */
+		return (iter.next().then(function () {
+			return (mod_vstream.iterate(p.u2).next());
+		}));
+	}).then(function (r) {
+		mod_assert.deepEqual(r, { 'value': undefined, 'done': true });
+
+		s = new Upper('u3');
+		s.destroy();
+		return (mod_vstream.iterate(s).next());
+	}).then(function () {
+		throw (new Error('unexpected success'));
+	}, function (err) {
+		mod_assert.equal(err.message,
+		    'stream was destroyed before it ended');
+		mod_assert.equal(mod_vstream.errorContext(err).stream, 'u3');
+		callback();
+	});
+}
+
+/*
+ * Test running a pipeline to completion.
+ */
+function testRun(_, callback)
+{
+	var p;
+
+	console.log('test: run pipeline');
+
+	/*
+	 * Nothing reads the output of "u2", so runPipeline() does.
+	 */
+	p = pipeline([ 'a', 'b', 'c' ]);
+	mod_vstream.runPipeline(p.u1).then(function (stages) {
+		mod_assert.deepEqual(stages.map(function (s) {
+			return ([ s.name, s.counters['ninputs'],
+			    s.counters['noutputs'] ]);
+		}), [
+		    [ 'u1', 3, 3 ],
+		    [ 'source', undefined, undefined ],
+		    [ 'u2', 3, 3 ]
+		]);
+		mod_assert.equal(p.u2.listenerCount('error'), 0);
+
+		/* Running a finished pipeline resolves right away. */
+		return (mod_vstream.runPipeline(p.head));
+	}).then(function (stages) {
+		mod_assert.equal(stages.length, 3);
+		callback();
+	});
+}
+
+/*
+ * Test running a pipeline that fails.  The error is reported by a stream in the
+ * middle of the pipeline, which includes a PipelineStream.
+ */
+function testRunError(_, callback)
+{
+	var p, container;
+
+	console.log('test: run pipeline with error');
+
+	p = pipeline([ 'a', 'b', 'bad' ]);
+	container = new mod_vstream.PipelineStream({
+	    'streams': [ new Upper('u3') ],
+	    'streamOptions': { 'objectMode': true }
+	});
+	p.u2.pipe(container);
+	mod_vstream.runPipeline(p.head).then(function () {
+		throw (new Error('unexpected success'));
+	}, function (err) {
+		mod_assert.equal(err.message, 'bad input');
+		mod_assert.deepEqual(mod_vstream.errorContext(err), {
+		    'stream': 'u1',
+		    'phase': 'transform',
+		    'input': 3,
+		    'provenance': [ { 'stream': 'u1', 'input': 3 } ],
+		    'containers': [],
+		    'label': 'u1 input 3: value \'bad\''
+		});
+		callback();
+	});
+}
+
+/*
+ * Test running a pipeline in which a stream is destroyed without an error.
+ */
+function testRunDestroyed(_, callback)
+{
+	var p;
+
+	console.log('test: run pipeline with destroyed stream');
+
+	p = pipeline(manyValues());
+	mod_vstream.runPipeline(p.head).then(function () {
+		throw (new Error('unexpected success'));
+	}, function (err) {
+		mod_assert.equal(mod_vstream.errorContext(err).stream, 'u2');
+		done = true;
+		callback();
+	});
+	p.u2.destroy();
+}
+
+mod_vasync.pipeline({
+    'funcs': [ testIterate, testIterateRaw, testBackpressure, testReturn,
+	testIterateError, testIterateOverlap, testRun, testRunError,
+	testRunDestroyed ]
+}, function (err) {
+	if (!err && !done)
+		err = new Error('premature exit');
+
+	if (err) {
+		console.log('TEST FAILED');
+		throw (err);
+	}
+
+	console.log('TEST PASSED');
+});
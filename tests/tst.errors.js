@@ -0,0 +1,311 @@
+/*
+ * Test provenance information attached to errors reported by instrumented
+ * streams.
+ */
+
+var mod_assert = require('assert');
+var mod_stream = require('stream');
+var mod_util = require('util');
+var mod_vasync = require('vasync');
+var mod_vstream = require('../lib/vstream');
+
+var done;
+
+/*
+ * Transform that passes through its inputs, except that it fails on the input
+ * "badvalue" and, if "failflush" is true, when it's flushed.  The last error
+ * reported is saved in "lasterr".
+ */
+function Checker(name, badvalue, failflush)
+{
+	mod_stream.Transform.call(this, { 'objectMode': true });
+	mod_vstream.wrapTransform(this, name);
+	this.badvalue = badvalue;
+	this.failflush = failflush;
+	this.lasterr = null;
+}
+
+mod_util.inherits(Checker, mod_stream.Transform);
+
+Checker.prototype._transform = function (chunk, _, callback)
+{
+	if (chunk === this.badvalue) {
+		this.lasterr = new Error('bad input');
+		this.lasterr.code = 'EBAD';
+		callback(this.lasterr);
+	} else {
+		callback(null, chunk);
+	}
+};
+
+Checker.prototype._flush = function (callback)
+{
+	if (this.failflush) {
+		this.lasterr = new Error('flush failed');
+		callback(this.lasterr);
+	} else {
+		callback();
+	}
+};
+
+/*
+ * Transform that parses each input as JSON.  Inputs that fail to parse are
+ * rejected (see testDeadLetter()).  Inputs that parse to a number less than
+ * zero fail with code "ENEGATIVE".
+ */
+function JsonParser()
+{
+	mod_stream.Transform.call(this, { 'objectMode': true });
+	mod_vstream.wrapTransform(this,
+	    { 'name': 'JsonParser', 'deadLetter': true });
+}
+
+mod_util.inherits(JsonParser, mod_stream.Transform);
+
+JsonParser.prototype._transform = function (chunk, _, callback)
+{
+	var value, err;
+
+	try {
+		value = JSON.parse(chunk);
+	} catch (ex) {
+		callback(ex);
+		return;
+	}
+
+	if (value < 0) {
+		err = new Error('negative value');
+		err.code = 'ENEGATIVE';
+		callback(err);
+		return;
+	}
+
+	callback(null, value);
+};
+
+/*
+ * Test an error from _transform() in the second stream of a pipeline.  The
+ * error passed to 'error' listeners is the same object reported by
+ * _transform(), and its enumerable properties are unchanged.
+ */
+function testTransform(_, callback)
+{
+	var c1, c2;
+
+	console.log('test: errors from _transform()');
+
+	c1 = new Checker('c1');
+	c2 = new Checker('c2', 'bad');
+	c1.pipe(c2);
+	c2.resume();
+
+	c2.on('error', function (err) {
+		mod_assert.strictEqual(err, c2.lasterr);
+		mod_assert.deepEqual(Object.keys(err), [ 'code' ]);
+		mod_assert.equal(JSON.stringify(err), '{"code":"EBAD"}');
+		mod_assert.equal(err.message, 'bad input');
+		mod_assert.deepEqual(mod_vstream.errorContext(err), {
+		    'stream': 'c2',
+		    'phase': 'transform',
+		    'input': 3,
+		    'provenance': [
+			{ 'stream': 'c1', 'input': 3 },
+			{ 'stream': 'c2', 'input': 3 }
+		    ],
+		    'containers': [],
+		    'label': 'c2 input 3 from c1 input 3: value \'bad\''
+		});
+		callback();
+	});
+
+	c1.write('one');
+	c1.write('two');
+	c1.write('bad');
+}
+
+/*
+ * Test an error from _flush().
+ */
+function testFlush(_, callback)
+{
+	var c1;
+
+	console.log('test: errors from _flush()');
+
+	c1 = new Checker('c1', null, true);
+	c1.on('error', function (err) {
+		mod_assert.strictEqual(err, c1.lasterr);
+		mod_assert.deepEqual(mod_vstream.errorContext(err), {
+		    'stream': 'c1',
+		    'phase': 'flush',
+		    'input': null,
+		    'provenance': [],
+		    'containers': [],
+		    'label': 'c1'
+		});
+		callback();
+	});
+
+	c1.resume();
+	c1.end('one');
+}
+
+/*
+ * Test errors re-emitted by a PipelineStream, both from an instrumented
+ * Transform inside it and from an uninstrumented stream.
+ */
+function testPipelineStream(_, callback)
+{
+	var c1, c2, pipeline, outer, errors;
+
+	console.log('test: errors from PipelineStream');
+
+	c1 = new Checker('c1', 'bad');
+	c2 = new mod_stream.PassThrough({ 'objectMode': true });
+	pipeline = new mod_vstream.PipelineStream({
+	    'streams': [ c1, c2 ],
+	    'streamOptions': { 'objectMode': true }
+	});
+	outer = new mod_vstream.PipelineStream({
+	    'streams': [ pipeline ],
+	    'streamOptions': { 'objectMode': true }
+	});
+
+	errors = [];
+	outer.on('error', function (err) { errors.push(err); });
+
+	outer.write('bad');
+	setImmediate(function () {
+		var err = new Error('passthrough failed');
+		var n;
+
+		/*
+		 * Depending on the version of Node, the same error may be
+		 * emitted more than once as it propagates through the streams.
+		 */
+		mod_assert.ok(errors.length > 0);
+		errors.forEach(function (e) {
+			mod_assert.strictEqual(e, c1.lasterr);
+		});
+		mod_assert.deepEqual(mod_vstream.errorContext(errors[0]), {
+		    'stream': 'c1',
+		    'phase': 'transform',
+		    'input': 1,
+		    'provenance': [ { 'stream': 'c1', 'input': 1 } ],
+		    'containers': [ 'PipelineStream', 'PipelineStream' ],
+		    'label': 'c1 input 1: value \'bad\''
+		});
+
+		n = errors.length;
+		c2.emit('error', err);
+		mod_assert.strictEqual(errors[n], err);
+		mod_assert.deepEqual(mod_vstream.errorContext(err), {
+		    'stream': 'PassThrough',
+		    'phase': null,
+		    'input': null,
+		    'provenance': [],
+		    'containers': [ 'PipelineStream', 'PipelineStream' ],
+		    'label': 'PassThrough'
+		});
+		callback();
+	});
+}
+
+/*
+ * Test a Transform that diverts inputs it fails to process to a dead-letter
+ * stream.
+ */
+function testDeadLetter(_, callback)
+{
+	var c1, parser, outputs, rejects, warnings;
+
+	console.log('test: dead-letter stream');
+
+	c1 = new Checker('c1');
+	parser = new JsonParser();
+	c1.pipe(parser);
+	mod_assert.strictEqual(c1.vsDeadLetters(), null);
+
+	outputs = [];
+	parser.on('data', function (c) { outputs.push(c); });
+
+	warnings = [];
+	parser.on('warn', function (context, kind, err) {
+		warnings.push(kind + ': ' + context.label());
+	});
+
+	rejects = [];
+	parser.vsDeadLetters().on('data', function (r) { rejects.push(r); });
+	parser.vsDeadLetters().on('end', function () {
+		mod_assert.deepEqual(outputs, [ 1, { 'a': 2 }, 3 ]);
+		mod_assert.equal(rejects.length, 3);
+		mod_assert.deepEqual(rejects.map(function (r) {
+			return ([ r.stream, r.input, r.value, r.label ]);
+		}), [
+		    [ 'JsonParser', 2, '{ bad', 'JsonParser input 2 from ' +
+			'c1 input 2: value \'{ bad\'' ],
+		    [ 'JsonParser', 4, '-1', 'JsonParser input 4 from ' +
+			'c1 input 4: value \'-1\'' ],
+		    [ 'JsonParser', 5, '', 'JsonParser input 5 from ' +
+			'c1 input 5: value \'\'' ]
+		]);
+		mod_assert.ok(rejects[0].error instanceof SyntaxError);
+		mod_assert.equal(rejects[1].error.code, 'ENEGATIVE');
+		mod_assert.equal(mod_vstream.errorContext(
+		    rejects[1].error).input, 4);
+
+		mod_assert.deepEqual(warnings, [
+		    'SyntaxError: ' + rejects[0].label,
+		    'ENEGATIVE: ' + rejects[1].label,
+		    'SyntaxError: ' + rejects[2].label
+		]);
+		mod_assert.deepEqual(parser.vsWarnings(),
+		    { 'SyntaxError': 2, 'ENEGATIVE': 1 });
+		mod_assert.equal(parser.vsCounters()['nrejected'], 3);
+		mod_assert.equal(parser.vsCounters()['ninputs'], 6);
+		mod_assert.equal(parser.vsCounters()['noutputs'], 3);
+		callback();
+	});
+
+	[ '1', '{ bad', '{ "a": 2 }', '-1', '', '3' ].forEach(function (l) {
+		c1.write(l);
+	});
+	c1.end();
+}
+
+/*
+ * Test errors that can't be or haven't been annotated.
+ */
+function testOther(_, callback)
+{
+	var c1, err;
+
+	console.log('test: other errors');
+
+	c1 = new Checker('c1');
+	err = Object.freeze(new Error('frozen'));
+	mod_vstream.annotateError(err, c1);
+	mod_vstream.annotateError('not an object', c1);
+	mod_assert.strictEqual(mod_vstream.errorContext(err), null);
+	mod_assert.strictEqual(mod_vstream.errorContext(new Error()), null);
+	mod_assert.strictEqual(mod_vstream.errorContext('error'), null);
+	mod_assert.strictEqual(mod_vstream.errorContext(null), null);
+
+	done = true;
+	callback();
+}
+
+mod_vasync.pipeline({
+    'funcs': [ testTransform, testFlush, testPipelineStream, testDeadLetter,
+	testOther ]
+}, function (err) {
+	if (!err && !done)
+		err = new Error('premature exit');
+
+	if (err) {
+		console.log('TEST FAILED');
+		throw (err);
+	}
+
+	console.log('TEST PASSED');
+});
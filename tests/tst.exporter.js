@@ -0,0 +1,197 @@
+/*
+ * Test the MetricsExporter.
+ */
+
+var mod_assert = require('assert');
+var mod_http = require('http');
+var mod_stream = require('stream');
+var mod_vasync = require('vasync');
+var mod_vstream = require('../lib/vstream');
+
+var exporter, server, port, done;
+
+/*
+ * Returns an instrumented, object-mode PassThrough stream.
+ */
+function passthru(name)
+{
+	return (mod_vstream.wrapTransform(
+	    new mod_stream.PassThrough({ 'objectMode': true }), name));
+}
+
+/*
+ * Make an HTTP request to our local server and invoke callback(err, response,
+ * body).
+ */
+function request(method, path, headers, callback)
+{
+	var req = mod_http.request({
+	    'host': '127.0.0.1',
+	    'port': port,
+	    'method': method,
+	    'path': path,
+	    'headers': headers
+	});
+
+	req.on('error', callback);
+	req.on('response', function (response) {
+		var body = '';
+		response.setEncoding('utf8');
+		response.on('data', function (c) { body += c; });
+		response.on('end', function () {
+			callback(null, response, body);
+		});
+	});
+	req.end();
+}
+
+/*
+ * Set up two pipelines.  The first has two streams with the same name, some
+ * counters of each type, and a warning.
+ */
+function setup(_, callback)
+{
+	var t1, t2, t3, t4;
+
+	console.log('test: setup');
+
+	t1 = passthru('t1');
+	t2 = passthru('t"2"');
+	t3 = passthru('t1');
+	t4 = passthru('t4');
+	t1.pipe(t2);
+	t2.pipe(t3);
+	t1.write('one');
+	t1.write('two');
+	t2.vsWarn(new Error('bad input'), 'badinput');
+	t2.vsGaugeSet('depth', 7);
+
+	exporter = new mod_vstream.MetricsExporter();
+	exporter.register('first', t1);
+	exporter.register('second', t4);
+	exporter.register('removed', passthru('t5'));
+	exporter.unregister('removed');
+	mod_assert.throws(function () { exporter.register('first', t4); },
+	    /pipeline "first" is already registered/);
+
+	server = mod_http.createServer(exporter.httpHandler());
+	server.listen(0, '127.0.0.1', function () {
+		port = server.address().port;
+		callback();
+	});
+}
+
+function testJson(_, callback)
+{
+	var json;
+
+	console.log('test: JSON');
+
+	json = exporter.toJSON();
+	mod_assert.deepEqual(json.pipelines.map(
+	    function (p) { return (p.name); }), [ 'first', 'second' ]);
+	mod_assert.deepEqual(json.pipelines[0].streams.map(
+	    function (s) { return (s.name); }), [ 't1', 't"2"', 't1#2' ]);
+	mod_assert.deepEqual(json.pipelines[0].streams[1], {
+	    'name': 't"2"',
+	    'kind': 'duplex',
+	    'counters': {
+		'depth': { 'type': 'gauge', 'value': 7 },
+		'maxrbuf': { 'type': 'max', 'value': 0 },
+		'maxwbuf': { 'type': 'max', 'value': 0 },
+		'ninputs': { 'type': 'counter', 'value': 2 },
+		'noutputs': { 'type': 'counter', 'value': 2 }
+	    },
+	    'warnings': { 'badinput': 1 },
+	    'rbuf': { 'length': 0, 'highWaterMark': 16 },
+	    'wbuf': { 'length': 0, 'highWaterMark': 16 }
+	});
+
+	request('GET', '/metrics?format=json', {}, function (err, res, body) {
+		mod_assert.ok(!err);
+		mod_assert.equal(res.statusCode, 200);
+		mod_assert.equal(res.headers['content-type'],
+		    'application/json');
+		mod_assert.deepEqual(JSON.parse(body), json);
+
+		request('GET', '/metrics', { 'accept': 'application/json' },
+		    function (err2, res2, body2) {
+			mod_assert.ok(!err2);
+			mod_assert.deepEqual(JSON.parse(body2), json);
+			callback();
+		    });
+	});
+}
+
+function testPrometheus(_, callback)
+{
+	var text, lines;
+
+	console.log('test: Prometheus');
+
+	text = exporter.toPrometheus();
+	lines = text.split('\n');
+	mod_assert.equal(lines[0],
+	    '# HELP vstream_counter_total vstream counters');
+	mod_assert.equal(lines[1], '# TYPE vstream_counter_total counter');
+	mod_assert.ok(lines.indexOf('vstream_counter_total{pipeline="first",' +
+	    'stream="t\\"2\\"",counter="ninputs"} 2') != -1);
+	mod_assert.ok(lines.indexOf('vstream_gauge{pipeline="first",' +
+	    'stream="t\\"2\\"",counter="depth"} 7') != -1);
+	mod_assert.ok(lines.indexOf('vstream_gauge{pipeline="second",' +
+	    'stream="t4",counter="maxrbuf"} 0') == -1);
+	mod_assert.ok(lines.indexOf('vstream_warnings_total{pipeline="first",' +
+	    'stream="t\\"2\\"",kind="badinput"} 1') != -1);
+	mod_assert.ok(lines.indexOf('vstream_buffer_length{pipeline="first",' +
+	    'stream="t1#2",side="read"} 2') != -1);
+	mod_assert.ok(lines.indexOf('vstream_buffer_high_water_mark{' +
+	    'pipeline="second",stream="t4",side="write"} 16') != -1);
+	mod_assert.ok(!/counter="badinput"/.test(text));
+	mod_assert.ok(!/pipeline="removed"/.test(text));
+	mod_assert.equal(lines[lines.length - 1], '');
+	console.log(text);
+
+	request('GET', '/metrics', {}, function (err, res, body) {
+		mod_assert.ok(!err);
+		mod_assert.equal(res.statusCode, 200);
+		mod_assert.equal(res.headers['content-type'],
+		    'text/plain; version=0.0.4');
+		mod_assert.equal(body, text);
+
+		request('POST', '/metrics', {}, function (err2, res2) {
+			mod_assert.ok(!err2);
+			mod_assert.equal(res2.statusCode, 405);
+			callback();
+		});
+	});
+}
+
+function testPrefix(_, callback)
+{
+	var other;
+
+	console.log('test: metric prefix');
+	other = new mod_vstream.MetricsExporter({ 'prefix': 'myapp' });
+	other.register('p', passthru('t1'));
+	mod_assert.ok(/^myapp_buffer_length\{pipeline="p",stream="t1",/m.test(
+	    other.toPrometheus()));
+	done = true;
+	callback();
+}
+
+mod_vasync.pipeline({
+    'funcs': [ setup, testJson, testPrometheus, testPrefix ]
+}, function (err) {
+	if (server)
+		server.close();
+
+	if (!err && !done)
+		err = new Error('premature exit');
+
+	if (err) {
+		console.log('TEST FAILED');
+		throw (err);
+	}
+
+	console.log('TEST PASSED');
+});
@@ -0,0 +1,63 @@
+/*
+ * Test the LatencyHistogram.
+ */
+
+var mod_assert = require('assert');
+var mod_vstream = require('../lib/vstream');
+
+var LatencyHistogram = mod_vstream.LatencyHistogram;
+var h, s, i;
+
+console.log('test: bucket boundaries');
+mod_assert.deepEqual(LatencyHistogram.bucket(0), { 'min': 0, 'width': 1 });
+mod_assert.deepEqual(LatencyHistogram.bucket(0.5), { 'min': 0, 'width': 1 });
+mod_assert.deepEqual(LatencyHistogram.bucket(9.9), { 'min': 9, 'width': 1 });
+mod_assert.deepEqual(LatencyHistogram.bucket(10), { 'min': 10, 'width': 10 });
+mod_assert.deepEqual(LatencyHistogram.bucket(99), { 'min': 90, 'width': 10 });
+mod_assert.deepEqual(LatencyHistogram.bucket(100),
+    { 'min': 100, 'width': 100 });
+mod_assert.deepEqual(LatencyHistogram.bucket(4321),
+    { 'min': 4000, 'width': 1000 });
+mod_assert.deepEqual(LatencyHistogram.bucket(1e6),
+    { 'min': 1e6, 'width': 1e6 });
+
+console.log('test: empty histogram');
+h = new LatencyHistogram();
+mod_assert.deepEqual(h.summary(), {
+    'count': 0,
+    'min': null,
+    'max': null,
+    'mean': null,
+    'percentiles': { 'p50': null, 'p90': null, 'p95': null, 'p99': null },
+    'buckets': []
+});
+mod_assert.equal(h.toString(), 'count 0');
+
+console.log('test: populated histogram');
+h = new LatencyHistogram();
+for (i = 1; i <= 100; i++)
+	h.record(i * 10);
+s = h.summary();
+mod_assert.equal(s.count, 100);
+mod_assert.equal(s.min, 10);
+mod_assert.equal(s.max, 1000);
+mod_assert.equal(s.mean, 505);
+mod_assert.deepEqual(s.buckets[0], { 'min': 10, 'max': 20, 'count': 1 });
+mod_assert.deepEqual(s.buckets[s.buckets.length - 1],
+    { 'min': 1000, 'max': 2000, 'count': 1 });
+mod_assert.equal(s.buckets.reduce(
+    function (sum, b) { return (sum + b.count); }, 0), 100);
+mod_assert.deepEqual(s.percentiles,
+    { 'p50': 600, 'p90': 1000, 'p95': 1000, 'p99': 1000 });
+mod_assert.equal(h.toString(), 'count 100, min 10us, mean 505us, ' +
+    'max 1.0ms, p50 600us, p90 1.0ms, p95 1.0ms, p99 1.0ms');
+
+console.log('test: recordSince()');
+h = new LatencyHistogram();
+h.recordSince(process.hrtime());
+mod_assert.equal(h.summary().count, 1);
+mod_assert.ok(h.summary().min >= 0);
+
+mod_assert.throws(function () { h.record(-1); });
+
+console.log('TEST PASSED');
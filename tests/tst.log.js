@@ -0,0 +1,207 @@
+/*
+ * Test logging of stream activity to a bunyan-style logger.
+ */
+
+var mod_assert = require('assert');
+var mod_stream = require('stream');
+var mod_util = require('util');
+var mod_vasync = require('vasync');
+var mod_vstream = require('../lib/vstream');
+
+var done;
+
+/*
+ * Minimal logger with bunyan's API that records what's logged.  Like bunyan,
+ * calling a log method with no arguments returns whether that level is enabled.
+ */
+function TestLog(trace)
+{
+	var self = this;
+
+	this.records = [];
+	[ 'trace', 'debug', 'info', 'warn', 'error' ].forEach(function (l) {
+		self[l] = function (fields, msg) {
+			if (arguments.length === 0)
+				return (l != 'trace' || trace);
+			self.records.push({
+			    'level': l,
+			    'fields': fields,
+			    'msg': msg
+			});
+			return (undefined);
+		};
+	});
+}
+
+/*
+ * Returns a one-line summary of each record, for easy comparison.
+ */
+TestLog.prototype.summary = function ()
+{
+	return (this.records.map(function (r) {
+		return (r.level + ' ' + r.fields.stream + ' ' + r.msg);
+	}));
+};
+
+/*
+ * Transform that upper-cases strings, warning about (and dropping) empty ones
+ * and failing on anything that's not a string.
+ */
+function Upper(name, log)
+{
+	mod_stream.Transform.call(this, { 'objectMode': true });
+	mod_vstream.wrapTransform(this, { 'name': name, 'log': log });
+}
+
+mod_util.inherits(Upper, mod_stream.Transform);
+
+Upper.prototype._transform = function (chunk, _, callback)
+{
+	if (typeof (chunk) != 'string') {
+		callback(new Error('not a string'));
+		return;
+	}
+
+	if (chunk.length === 0)
+		this.vsWarn(new Error('empty string'), 'nempty');
+	else
+		this.push(chunk.toUpperCase());
+	callback();
+};
+
+Upper.prototype._flush = function (callback)
+{
+	callback();
+};
+
+/*
+ * Test that a logger set on the first stream of a pipeline is inherited by the
+ * next one and that transforms, warnings, flushes, and the ends of streams are
+ * logged with the expected fields.
+ */
+function testPipeline(_, callback)
+{
+	var log, u1, u2, warn;
+
+	console.log('test: logging a pipeline');
+
+	log = new TestLog(true);
+	u1 = new Upper('u1', log);
+	u2 = new Upper('u2');
+	u1.pipe(u2);
+	mod_assert.strictEqual(u2.vs_log, log);
+
+	/*
+	 * The relative order of 'end' and 'finish' depends on Node's stream
+	 * implementation, so we sort the records about the ends of streams.
+	 */
+	u2.resume();
+	u2.on('end', setImmediate.bind(null, function () {
+		var summary = log.summary();
+
+		mod_assert.deepEqual(summary.slice(0, 4), [
+		    'trace u1 transform',
+		    'trace u2 transform',
+		    'trace u1 transform',
+		    'warn u1 warning'
+		]);
+		mod_assert.deepEqual(summary.slice(4).sort(), [
+		    'debug u1 end',
+		    'debug u1 finish',
+		    'debug u1 flush',
+		    'debug u2 end',
+		    'debug u2 finish',
+		    'debug u2 flush'
+		]);
+
+		mod_assert.deepEqual(log.records[1].fields, {
+		    'stream': 'u2',
+		    'counters': { 'ninputs': 1 },
+		    'input': 1,
+		    'provenance': 'u2 input 1 from u1 input 1: value \'A\''
+		});
+
+		warn = log.records[3].fields;
+		mod_assert.equal(warn.kind, 'nempty');
+		mod_assert.equal(warn.err.message, 'empty string');
+		mod_assert.equal(warn.provenance, 'u1 input 2: value \'\'');
+		mod_assert.equal(warn.counters['nempty'], 1);
+		callback();
+	}));
+
+	u1.write('a');
+	u1.write('');
+	u1.end();
+}
+
+/*
+ * Test that trace records are skipped when trace-level logging is disabled and
+ * that errors from _transform() are logged.
+ */
+function testErrors(_, callback)
+{
+	var log, u1;
+
+	console.log('test: logging errors');
+
+	log = new TestLog(false);
+	u1 = new Upper('u1', log);
+	u1.on('error', function (err) {
+		mod_assert.equal(err.message, 'not a string');
+		mod_assert.deepEqual(log.summary(), [
+		    'error u1 transform failed'
+		]);
+		mod_assert.strictEqual(log.records[0].fields.err, err);
+		mod_assert.equal(log.records[0].fields.provenance,
+		    'u1 input 1: value 17');
+		callback();
+	});
+
+	u1.write(17);
+}
+
+/*
+ * Test setting and removing a logger for a whole pipeline after it's been
+ * constructed.
+ */
+function testSetLog(_, callback)
+{
+	var log, u1, u2, u3;
+
+	console.log('test: setting a logger on a pipeline');
+
+	u1 = new Upper('u1');
+	u2 = new Upper('u2');
+	u3 = new Upper('u3');
+	u1.pipe(u2);
+	u2.pipe(u3);
+
+	log = new TestLog(false);
+	u2.vsSetLog(log, { 'pipeline': true });
+	[ u1, u2, u3 ].forEach(function (s) {
+		mod_assert.strictEqual(s.vs_log, log);
+	});
+
+	u3.vsSetLog(null);
+	u1.vsWarn(new Error('junk'), 'njunk');
+	u3.vsWarn(new Error('junk'), 'njunk');
+	mod_assert.deepEqual(log.summary(), [ 'warn u1 warning' ]);
+	mod_assert.ok(!log.records[0].fields.hasOwnProperty('provenance'));
+
+	done = true;
+	callback();
+}
+
+mod_vasync.pipeline({
+    'funcs': [ testPipeline, testErrors, testSetLog ]
+}, function (err) {
+	if (!err && !done)
+		err = new Error('premature exit');
+
+	if (err) {
+		console.log('TEST FAILED');
+		throw (err);
+	}
+
+	console.log('TEST PASSED');
+});
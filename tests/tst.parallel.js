@@ -0,0 +1,346 @@
+/*
+ * Test provenance for outputs pushed after _transform() completes, and the
+ * ParallelTransform built on it.
+ */
+
+var mod_assert = require('assert');
+var mod_stream = require('stream');
+var mod_util = require('util');
+var mod_vasync = require('vasync');
+var mod_vstream = require('../lib/vstream');
+
+var done;
+
+/*
+ * Transform that accepts each input right away and pushes it later from a
+ * timer, using vsDefer() unless "plain" is true.
+ */
+function Delayer(name, plain)
+{
+	mod_stream.Transform.call(this, { 'objectMode': true });
+	mod_vstream.wrapTransform(this, name);
+	this.plain = plain;
+	this.pending = 0;
+	this.flushcb = null;
+}
+
+mod_util.inherits(Delayer, mod_stream.Transform);
+
+Delayer.prototype._transform = function (chunk, _, callback)
+{
+	var self = this;
+	var input;
+
+	this.vsAnnotate({ 'key': chunk });
+	input = this.plain ? null : this.vsDefer();
+	this.pending++;
+	setTimeout(function () {
+		if (input === null)
+			self.push(chunk);
+		else
+			input.push(chunk);
+		if (--self.pending === 0 && self.flushcb !== null)
+			self.flushcb();
+	}, 10 * (4 - chunk.length));
+	callback();
+};
+
+Delayer.prototype._flush = function (callback)
+{
+	if (this.pending === 0)
+		callback();
+	else
+		this.flushcb = callback;
+};
+
+/*
+ * Transform that records the label of each input it sees in "labels" and passes
+ * the input through.
+ */
+function Recorder(labels)
+{
+	mod_stream.Transform.call(this, { 'objectMode': true });
+	mod_vstream.wrapTransform(this, 'recorder');
+	this.labels = labels;
+}
+
+mod_util.inherits(Recorder, mod_stream.Transform);
+
+Recorder.prototype._transform = function (chunk, _, callback)
+{
+	this.labels.push(this.vsContext().label());
+	callback(null, chunk);
+};
+
+/*
+ * Returns an uninstrumented Writable that saves its inputs in "values".  If
+ * "slow" is true, it takes its time with each one.
+ */
+function sink(values, slow)
+{
+	return (new mod_stream.Writable({
+	    'objectMode': true,
+	    'highWaterMark': 1,
+	    'write': function (chunk, _, callback) {
+		values.push(chunk);
+		if (slow)
+			setImmediate(callback);
+		else
+			callback();
+	    }
+	}));
+}
+
+/*
+ * Test pushing from a timer after the _transform() callback.
+ */
+function testDeferred(_, callback)
+{
+	var labels = [];
+
+	console.log('test: deferred push');
+
+	/* Longer inputs are pushed sooner, so they come out first. */
+	mod_vstream.pipeline(mod_stream.Readable.from([ 'a', 'bb', 'ccc' ]),
+	    new Delayer('delayer'), new Recorder(labels), sink([]),
+	    function (err) {
+		mod_assert.ok(!err);
+		mod_assert.deepEqual(labels, [
+		    'recorder input 1 from delayer input 3 (key ccc): ' +
+			'value \'ccc\'',
+		    'recorder input 2 from delayer input 2 (key bb): ' +
+			'value \'bb\'',
+		    'recorder input 3 from delayer input 1 (key a): ' +
+			'value \'a\''
+		]);
+		callback();
+	    });
+}
+
+/*
+ * Test pushing from a timer with plain push(), which used to fail an assertion.
+ * Outputs pushed when no input is being processed have no provenance from
+ * before this stream.  The source doesn't end until they've been pushed, since
+ * outputs pushed after that are attributed to _flush().
+ */
+function testDeferredPlain(_, callback)
+{
+	var labels, source;
+
+	console.log('test: deferred push without vsDefer()');
+
+	labels = [];
+	source = new mod_stream.PassThrough({ 'objectMode': true });
+	mod_vstream.pipeline(source, new Delayer('delayer', true),
+	    new Recorder(labels), sink([]), function (err) {
+		mod_assert.ok(!err);
+		mod_assert.deepEqual(labels, [
+		    'recorder input 1: value \'bb\'',
+		    'recorder input 2: value \'a\''
+		]);
+		callback();
+	    });
+	source.write('a');
+	source.write('bb');
+	setTimeout(function () { source.end(); }, 50);
+}
+
+/*
+ * Returns a function for a ParallelTransform that upper-cases its input after a
+ * delay that's shorter for later inputs (in groups of four), failing for the
+ * input "bad".  The
+ * maximum number of concurrent calls is recorded in "stats.max".
+ */
+function upperSlowly(stats)
+{
+	var n = 0;
+
+	stats.active = 0;
+	stats.max = 0;
+	return (function (chunk, callback) {
+		var delay = [ 60, 40, 20, 5 ][n++ % 4];
+
+		stats.max = Math.max(stats.max, ++stats.active);
+		setTimeout(function () {
+			stats.active--;
+			if (chunk == 'bad')
+				callback(new Error('bad input'));
+			else
+				callback(null, chunk.toUpperCase());
+		}, delay);
+	});
+}
+
+/*
+ * Test that ParallelTransform processes inputs concurrently, up to its limit,
+ * and that each output's provenance describes its own input.
+ */
+function testParallel(_, callback)
+{
+	var stats, par, labels, values;
+
+	console.log('test: parallel transform');
+
+	stats = {};
+	par = new mod_vstream.ParallelTransform({
+	    'name': 'par',
+	    'func': upperSlowly(stats),
+	    'concurrency': 3
+	});
+	labels = [];
+	values = [];
+	mod_vstream.pipeline(mod_stream.Readable.from([ 'a', 'b', 'c', 'd' ]),
+	    par, new Recorder(labels), sink(values), function (err) {
+		mod_assert.ok(!err);
+		mod_assert.equal(stats.max, 3);
+
+		/* The first three run at once, and later ones finish sooner. */
+		mod_assert.deepEqual(values, [ 'C', 'D', 'B', 'A' ]);
+		values.forEach(function (v, i) {
+			mod_assert.equal(labels[i], 'recorder input ' +
+			    (i + 1) + ' from par input ' +
+			    (v.charCodeAt(0) - 64) + ': value \'' + v + '\'');
+		});
+		mod_assert.equal(par.vsCounters()['ninflight'], 0);
+		mod_assert.equal(par.vsCounters()['ninputs'], 4);
+		mod_assert.equal(par.vsCounters()['noutputs'], 4);
+		callback();
+	    });
+}
+
+/*
+ * Test a ParallelTransform feeding a slow reader.
+ */
+function testParallelBackpressure(_, callback)
+{
+	var inputs, values;
+
+	console.log('test: parallel transform with backpressure');
+
+	inputs = [];
+	while (inputs.length < 60)
+		inputs.push('v' + inputs.length);
+	values = [];
+	mod_vstream.pipeline(mod_stream.Readable.from(inputs),
+	    new mod_vstream.ParallelTransform({
+		'func': upperSlowly({}),
+		'concurrency': 8
+	    }), sink(values, true), function (err) {
+		mod_assert.ok(!err);
+		mod_assert.equal(values.length, 60);
+		mod_assert.deepEqual(values.slice(0).sort(),
+		    inputs.map(function (v) {
+			return (v.toUpperCase());
+		    }).sort());
+		callback();
+	    });
+}
+
+/*
+ * Test an input that fails while others are in flight.
+ */
+function testParallelError(_, callback)
+{
+	console.log('test: parallel transform error');
+
+	mod_vstream.pipeline(mod_stream.Readable.from([ 'a', 'bad', 'c' ]),
+	    new mod_vstream.ParallelTransform({
+		'name': 'par',
+		'func': upperSlowly({})
+	    }), sink([]), function (err) {
+		mod_assert.equal(err.message, 'bad input');
+		mod_assert.deepEqual(mod_vstream.errorContext(err), {
+		    'stream': 'par',
+		    'phase': 'transform',
+		    'input': 2,
+		    'provenance': [ { 'stream': 'par', 'input': 2 } ],
+		    'containers': [],
+		    'label': 'par input 2: value \'bad\''
+		});
+		callback();
+	    });
+}
+
+/*
+ * Test rejecting an input that fails while others are in flight.
+ */
+function testParallelDeadLetter(_, callback)
+{
+	var par, values, rejects;
+
+	console.log('test: parallel transform with dead letters');
+
+	par = new mod_vstream.ParallelTransform({
+	    'name': 'par',
+	    'func': upperSlowly({}),
+	    'deadLetter': true
+	});
+	values = [];
+	rejects = [];
+	par.vsDeadLetters().on('data', function (r) { rejects.push(r); });
+	mod_vstream.pipeline(mod_stream.Readable.from([ 'a', 'bad', 'c' ]),
+	    par, sink(values), function (err) {
+		mod_assert.ok(!err);
+		mod_assert.deepEqual(values, [ 'C', 'A' ]);
+		mod_assert.equal(rejects.length, 1);
+		mod_assert.equal(rejects[0].input, 2);
+		mod_assert.equal(rejects[0].value, 'bad');
+		mod_assert.equal(rejects[0].label,
+		    'par input 2: value \'bad\'');
+		mod_assert.equal(par.vsCounters()['nrejected'], 1);
+		callback();
+	    });
+}
+
+/*
+ * Test rejecting an input that fails while others are in flight when
+ * provenance tracking is disabled, in which case the Transform reuses a single
+ * context for every input.
+ */
+function testParallelDeadLetterDisabled(_, callback)
+{
+	var par, values, rejects;
+
+	console.log('test: parallel transform with dead letters, ' +
+	    'provenance disabled');
+
+	par = new mod_vstream.ParallelTransform({
+	    'name': 'par',
+	    'func': upperSlowly({}),
+	    'deadLetter': true,
+	    'provenancePolicy': new mod_vstream.ProvenancePolicy({
+		'enabled': false
+	    })
+	});
+	values = [];
+	rejects = [];
+	par.vsDeadLetters().on('data', function (r) { rejects.push(r); });
+	mod_vstream.pipeline(mod_stream.Readable.from([ 'a', 'bad', 'c' ]),
+	    par, sink(values), function (err) {
+		mod_assert.ok(!err);
+		mod_assert.deepEqual(values, [ 'C', 'A' ]);
+		mod_assert.equal(rejects.length, 1);
+		mod_assert.equal(rejects[0].input, 2);
+		mod_assert.equal(rejects[0].value, 'bad');
+		mod_assert.equal(rejects[0].label,
+		    'par input 2: value \'bad\'');
+		done = true;
+		callback();
+	    });
+}
+
+mod_vasync.pipeline({
+    'funcs': [ testDeferred, testDeferredPlain, testParallel,
+	testParallelBackpressure, testParallelError, testParallelDeadLetter,
+	testParallelDeadLetterDisabled ]
+}, function (err) {
+	if (!err && !done)
+		err = new Error('premature exit');
+
+	if (err) {
+		console.log('TEST FAILED');
+		throw (err);
+	}
+
+	console.log('TEST PASSED');
+});
@@ -0,0 +1,265 @@
+/*
+ * Test building instrumented pipelines with pipeline(), including async
+ * generator stages.
+ */
+
+var mod_assert = require('assert');
+var mod_stream = require('stream');
+var mod_util = require('util');
+var mod_vasync = require('vasync');
+var mod_vstream = require('../lib/vstream');
+
+var done;
+
+/*
+ * Transform that upper-cases each input.
+ */
+function Upper(name)
+{
+	mod_stream.Transform.call(this, { 'objectMode': true });
+	mod_vstream.wrapTransform(this, name);
+}
+
+mod_util.inherits(Upper, mod_stream.Transform);
+
+Upper.prototype._transform = function (chunk, _, callback)
+{
+	callback(null, chunk.toUpperCase());
+};
+
+/*
+ * Transform that records the label of each input it sees in "labels" and passes
+ * the input through.
+ */
+function Recorder(labels)
+{
+	mod_stream.Transform.call(this, { 'objectMode': true });
+	mod_vstream.wrapTransform(this, 'recorder');
+	this.labels = labels;
+}
+
+mod_util.inherits(Recorder, mod_stream.Transform);
+
+Recorder.prototype._transform = function (chunk, _, callback)
+{
+	this.labels.push(this.vsContext().label());
+	callback(null, chunk);
+};
+
+/*
+ * Returns an uninstrumented Writable that saves its inputs in "values".  If
+ * "slow" is true, it takes its time with each one.
+ */
+function sink(values, slow)
+{
+	return (new mod_stream.Writable({
+	    'objectMode': true,
+	    'highWaterMark': 1,
+	    'write': function (chunk, _, callback) {
+		values.push(chunk);
+		if (slow)
+			setImmediate(callback);
+		else
+			callback();
+	    }
+	}));
+}
+
+/*
+ * Returns the names of the instrumented streams in "streams".
+ */
+function names(streams)
+{
+	return (streams.map(function (s) { return (s.vsName()); }));
+}
+
+/*
+ * Test that every stage is instrumented and linked to its neighbors.
+ */
+function testLinkage(_, callback)
+{
+	var src, passthru, upper, values, last;
+
+	console.log('test: pipeline linkage');
+
+	src = mod_stream.Readable.from([ 'a', 'b' ]);
+	passthru = new mod_stream.PassThrough({ 'objectMode': true });
+	upper = new Upper('upper');
+	values = [];
+	last = mod_vstream.pipeline(src, passthru, upper, sink(values),
+	    function (err) {
+		var counters;
+
+		mod_assert.ok(!err);
+		mod_assert.deepEqual(values, [ 'A', 'B' ]);
+		mod_assert.equal(last.vsName(), 'Writable');
+		mod_assert.strictEqual(last.vsHead(), src);
+		mod_assert.deepEqual(names(src.vs_downstreams),
+		    [ 'PassThrough' ]);
+		mod_assert.deepEqual(names(passthru.vs_upstreams),
+		    [ 'Readable' ]);
+		mod_assert.deepEqual(names(passthru.vs_downstreams),
+		    [ 'upper' ]);
+		mod_assert.deepEqual(names(upper.vs_downstreams),
+		    [ 'Writable' ]);
+
+		/*
+		 * Before Node 20, each output sits in upper's read buffer
+		 * briefly before the sink reads it, so "maxrbuf" depends on the
+		 * version of Node.
+		 */
+		counters = upper.vsCounters();
+		mod_assert.ok(counters['maxrbuf'] === 0 ||
+		    counters['maxrbuf'] === 1);
+		mod_assert.deepEqual(counters, {
+		    'ninputs': 2,
+		    'noutputs': 2,
+		    'maxrbuf': counters['maxrbuf'],
+		    'maxwbuf': 0
+		});
+		callback();
+	    });
+}
+
+/*
+ * Test that provenance flows through an async generator stage.
+ */
+function testGenerator(_, callback)
+{
+	var src, labels, values, last;
+
+	console.log('test: pipeline with generator');
+
+	src = mod_stream.Readable.from([ 'a', 'b' ]);
+	labels = [];
+	values = [];
+	last = mod_vstream.pipeline([ src, new Upper('upper'),
+	    async function* double(source) {
+		for await (var v of source) {
+			yield (v);
+			yield (v + v);
+		}
+		yield ('END');
+	    }, new Recorder(labels), sink(values) ], function (err) {
+		var gen;
+
+		mod_assert.ok(!err);
+		mod_assert.deepEqual(values,
+		    [ 'A', 'AA', 'B', 'BB', 'END' ]);
+		mod_assert.deepEqual(labels, [
+		    'recorder input 1 from double input 1 from ' +
+			'upper input 1: value \'A\'',
+		    'recorder input 2 from double input 1 from ' +
+			'upper input 1: value \'AA\'',
+		    'recorder input 3 from double input 2 from ' +
+			'upper input 2: value \'B\'',
+		    'recorder input 4 from double input 2 from ' +
+			'upper input 2: value \'BB\'',
+		    'recorder input 5 from double input 2: value \'END\''
+		]);
+
+		gen = last.vs_upstreams[0].vs_upstreams[0];
+		mod_assert.ok(gen instanceof mod_vstream.GeneratorStream);
+		mod_assert.equal(gen.vsName(), 'double');
+		mod_assert.equal(gen.vsCounters()['ninputs'], 2);
+		mod_assert.equal(gen.vsCounters()['noutputs'], 5);
+		mod_assert.strictEqual(last.vsHead(), src);
+		callback();
+	});
+}
+
+/*
+ * Test a generator that emits many values for a slow reader.
+ */
+function testBackpressure(_, callback)
+{
+	var inputs, values;
+
+	console.log('test: pipeline with backpressure');
+
+	inputs = [];
+	while (inputs.length < 50)
+		inputs.push(inputs.length);
+	values = [];
+	mod_vstream.pipeline(mod_stream.Readable.from(inputs),
+	    async function* (source) {
+		for await (var v of source) {
+			yield (v);
+			yield (-v);
+		}
+	    }, sink(values, true), function (err) {
+		mod_assert.ok(!err);
+		mod_assert.equal(values.length, 100);
+		mod_assert.equal(values[98], 49);
+		mod_assert.equal(values[99], -49);
+		callback();
+	    });
+}
+
+/*
+ * Test a generator that stops reading its input early.
+ */
+function testReturn(_, callback)
+{
+	var values;
+
+	console.log('test: pipeline with generator that returns early');
+
+	values = [];
+	mod_vstream.pipeline(mod_stream.Readable.from([ 'a', 'b', 'c', 'd' ]),
+	    async function* firstTwo(source) {
+		var n = 0;
+		for await (var v of source) {
+			yield (v);
+			if (++n == 2)
+				break;
+		}
+		yield ('done');
+	    }, sink(values), function (err) {
+		mod_assert.ok(!err);
+		mod_assert.deepEqual(values, [ 'a', 'b', 'done' ]);
+		callback();
+	    });
+}
+
+/*
+ * Test an error thrown by a generator.
+ */
+function testError(_, callback)
+{
+	var values;
+
+	console.log('test: pipeline with generator error');
+
+	values = [];
+	mod_vstream.pipeline(mod_stream.Readable.from([ 'a', 'bad', 'c' ]),
+	    new Upper('upper'), async function* check(source) {
+		for await (var v of source) {
+			if (v == 'BAD')
+				throw (new Error('bad input'));
+			yield (v);
+		}
+	    }, sink(values), function (err) {
+		mod_assert.equal(err.message, 'bad input');
+		mod_assert.equal(mod_vstream.errorContext(err).label,
+		    'check input 2 from upper input 2: value \'BAD\'');
+		mod_assert.deepEqual(values, [ 'A' ]);
+		done = true;
+		callback();
+	    });
+}
+
+mod_vasync.pipeline({
+    'funcs': [ testLinkage, testGenerator, testBackpressure, testReturn,
+	testError ]
+}, function (err) {
+	if (!err && !done)
+		err = new Error('premature exit');
+
+	if (err) {
+		console.log('TEST FAILED');
+		throw (err);
+	}
+
+	console.log('TEST PASSED');
+});
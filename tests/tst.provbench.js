@@ -0,0 +1,186 @@
+/*
+ * Compare the overhead of provenance tracking under various policies, and of
+ * the counters maintained by streams instrumented with wrapStream().  This
+ * reports how long each configuration takes, but it mostly checks only that
+ * each one produces the same output, since timing is too variable to test
+ * reliably.  The exception is wrapStream(), whose counters are updated for
+ * every chunk: it's checked against a generous multiple of the cost of the
+ * same streams uninstrumented, which is enough to catch something expensive
+ * (like an assert-plus type check) creeping into that path.  The test suite
+ * runs a small number of values through each configuration.  To get
+ * meaningful timings, run "make bench", which passes a larger number as the
+ * first argument.
+ */
+
+var mod_assert = require('assert');
+var mod_stream = require('stream');
+var mod_util = require('util');
+var mod_vasync = require('vasync');
+var mod_vstream = require('../lib/vstream');
+
+var NVALUES = parseInt(process.argv[2], 10) || 1000;
+var NSTAGES = 8;
+var MAXWRAPRATIO = 4;
+
+var done;
+var results = {};
+var elapsed = {};
+
+/*
+ * Readable stream that emits the integers 0 through "count - 1".
+ */
+function Counter(count)
+{
+	mod_stream.Readable.call(this, { 'objectMode': true });
+	this.count = count;
+	this.next = 0;
+}
+
+mod_util.inherits(Counter, mod_stream.Readable);
+
+Counter.prototype._read = function ()
+{
+	if (this.next == this.count)
+		this.push(null);
+	else
+		this.push(this.next++);
+};
+
+/*
+ * Transform that adds 1 to each input.  If "instrument" is false, the stream
+ * is not instrumented at all.
+ */
+function Increment(name, instrument)
+{
+	mod_stream.Transform.call(this, { 'objectMode': true });
+	if (instrument)
+		mod_vstream.wrapTransform(this, name);
+}
+
+mod_util.inherits(Increment, mod_stream.Transform);
+
+Increment.prototype._transform = function (chunk, _, callback)
+{
+	callback(null, chunk + 1);
+};
+
+/*
+ * Returns the number of milliseconds since "start", a value from
+ * process.hrtime().
+ */
+function msSince(start)
+{
+	var delta = process.hrtime(start);
+	return (delta[0] * 1e3 + delta[1] / 1e6);
+}
+
+/*
+ * Returns a function suitable for vasync.pipeline() that runs NVALUES values
+ * through NSTAGES Increment streams.  "policy" is a ProvenancePolicy to apply
+ * to the pipeline, null to use the default (unbounded) provenance, or false to
+ * skip instrumenting the streams at all.
+ */
+function benchmark(name, policy)
+{
+	return (function (_, callback) {
+		var source, tail, start, sum, i, stream;
+
+		source = new Counter(NVALUES);
+		tail = source;
+		for (i = 1; i <= NSTAGES; i++) {
+			stream = new Increment('i' + i, policy !== false);
+			tail.pipe(stream);
+			tail = stream;
+		}
+
+		if (policy)
+			policy.applyToPipeline(tail);
+
+		sum = 0;
+		start = process.hrtime();
+		tail.on('data', function (c) { sum += c; });
+		tail.on('end', function () {
+			elapsed[name] = msSince(start);
+			results[name] = sum;
+			console.log('%s: %d ms', name,
+			    Math.round(elapsed[name]));
+			callback();
+		});
+	});
+}
+
+/*
+ * Returns a function suitable for vasync.pipeline() that runs NVALUES values
+ * through NSTAGES object-mode PassThrough streams, which are instrumented with
+ * wrapStream() if "wrap" is true.
+ */
+function benchmarkWrapped(name, wrap)
+{
+	return (function (_, callback) {
+		var source, tail, start, count, i, stream;
+
+		source = new Counter(NVALUES);
+		tail = source;
+		for (i = 1; i <= NSTAGES; i++) {
+			stream = new mod_stream.PassThrough(
+			    { 'objectMode': true });
+			if (wrap)
+				mod_vstream.wrapStream(stream, 'p' + i);
+			tail.pipe(stream);
+			tail = stream;
+		}
+
+		count = 0;
+		start = process.hrtime();
+		tail.on('data', function () { count++; });
+		tail.on('end', function () {
+			elapsed[name] = msSince(start);
+			results[name] = count;
+			console.log('%s: %d ms', name,
+			    Math.round(elapsed[name]));
+			callback();
+		});
+	});
+}
+
+mod_vasync.pipeline({
+    'funcs': [
+	benchmark('uninstrumented', false),
+	benchmark('default', null),
+	benchmark('bounded', new mod_vstream.ProvenancePolicy(
+	    { 'maxDepth': 3 })),
+	benchmark('unshared', new mod_vstream.ProvenancePolicy(
+	    { 'maxDepth': 3, 'share': false })),
+	benchmark('disabled', new mod_vstream.ProvenancePolicy(
+	    { 'enabled': false })),
+	benchmarkWrapped('passthrough', false),
+	benchmarkWrapped('wrapped passthrough', true),
+	function checkResults(_, callback) {
+		var expected = NVALUES * (NVALUES - 1) / 2 + NVALUES * NSTAGES;
+		mod_assert.deepEqual(results, {
+		    'uninstrumented': expected,
+		    'default': expected,
+		    'bounded': expected,
+		    'unshared': expected,
+		    'disabled': expected,
+		    'passthrough': NVALUES,
+		    'wrapped passthrough': NVALUES
+		});
+		mod_assert.ok(elapsed['wrapped passthrough'] <=
+		    MAXWRAPRATIO * Math.max(elapsed['passthrough'], 1),
+		    'wrapStream() overhead is too high');
+		done = true;
+		callback();
+	}
+    ]
+}, function (err) {
+	if (!err && !done)
+		err = new Error('premature exit');
+
+	if (err) {
+		console.log('TEST FAILED');
+		throw (err);
+	}
+
+	console.log('TEST PASSED');
+});
@@ -0,0 +1,592 @@
+/*
+ * Test provenance metadata and serialization.
+ */
+
+var mod_assert = require('assert');
+var mod_lstream = require('lstream');
+var mod_stream = require('stream');
+var mod_util = require('util');
+var mod_vasync = require('vasync');
+var mod_vstream = require('../lib/vstream');
+
+var ProvenanceValue = mod_vstream.ProvenanceValue;
+
+var done;
+
+/*
+ * Readable stream that emits each of "lines" as a ProvenanceValue seeded with
+ * the line number and byte offset of that line in the imaginary file "file".
+ */
+function LineSource(file, lines)
+{
+	mod_stream.Readable.call(this, { 'objectMode': true });
+	this.file = file;
+	this.lines = lines.slice(0);
+	this.lineno = 0;
+	this.offset = 0;
+}
+
+mod_util.inherits(LineSource, mod_stream.Readable);
+
+LineSource.prototype._read = function ()
+{
+	var line;
+
+	if (this.lines.length === 0) {
+		this.push(null);
+		return;
+	}
+
+	line = this.lines.shift();
+	this.lineno++;
+	this.push(ProvenanceValue.seed(line, this.file,
+	    { 'line': this.lineno, 'offset': this.offset }));
+	this.offset += line.length + 1;
+};
+
+/*
+ * Transform that splits each comma-separated input into fields, annotating
+ * each output with the field's index and warning about empty fields.
+ */
+function FieldSplitter()
+{
+	mod_stream.Transform.call(this, { 'objectMode': true });
+	mod_vstream.wrapTransform(this, 'FieldSplitter');
+}
+
+mod_util.inherits(FieldSplitter, mod_stream.Transform);
+
+FieldSplitter.prototype._transform = function (chunk, _, callback)
+{
+	var self = this;
+
+	this.vsAnnotate({ 'record': chunk.split(',')[0] });
+	chunk.split(',').forEach(function (field, i) {
+		self.vsAnnotate({ 'field': i + 1 });
+		if (field.length === 0)
+			self.vsWarn(new Error('empty field'), 'nempty');
+		else
+			self.push(field);
+	});
+	callback();
+};
+
+/*
+ * Transform that combines every "size" inputs into a single array (and any
+ * leftover inputs into one more array when flushed).
+ */
+function Batcher(size)
+{
+	mod_stream.Transform.call(this, { 'objectMode': true });
+	mod_vstream.wrapTransform(this, 'Batcher');
+	this.size = size;
+	this.values = [];
+	this.contexts = [];
+}
+
+mod_util.inherits(Batcher, mod_stream.Transform);
+
+Batcher.prototype._transform = function (chunk, _, callback)
+{
+	this.values.push(chunk);
+	this.contexts.push(this.vsContext());
+	if (this.values.length == this.size)
+		this.emitBatch();
+	callback();
+};
+
+Batcher.prototype._flush = function (callback)
+{
+	if (this.values.length > 0)
+		this.emitBatch();
+	callback();
+};
+
+Batcher.prototype.emitBatch = function ()
+{
+	this.vsPushFrom(this.values, this.contexts);
+	this.values = [];
+	this.contexts = [];
+};
+
+/*
+ * Transform that emits each input twice, warning about inputs that are
+ * "warnme".
+ */
+function Repeat(name)
+{
+	mod_stream.Transform.call(this, { 'objectMode': true });
+	mod_vstream.wrapTransform(this, name);
+}
+
+mod_util.inherits(Repeat, mod_stream.Transform);
+
+Repeat.prototype._transform = function (chunk, _, callback)
+{
+	if (chunk == 'warnme')
+		this.vsWarn(new Error('warned'), 'nwarned');
+	this.push(chunk);
+	this.push(chunk);
+	callback();
+};
+
+/*
+ * Returns the head and tail of a pipeline of a LineSource emitting "lines"
+ * followed by "n" Repeat streams.
+ */
+function repeatPipeline(lines, n)
+{
+	var head, tail, r, i;
+
+	head = new LineSource('src', lines);
+	tail = head;
+	for (i = 1; i <= n; i++) {
+		r = new Repeat('r' + i);
+		tail.pipe(r);
+		tail = r;
+	}
+
+	return ({ 'head': head, 'tail': tail });
+}
+
+/*
+ * Returns an instrumented PassThrough that passes ProvenanceValues through to
+ * 'data' listeners.
+ */
+function collector()
+{
+	var rv = mod_vstream.wrapTransform(
+	    new mod_stream.PassThrough({ 'objectMode': true }), 'collector');
+	rv.vs_marshalmode = 'marshal';
+	return (rv);
+}
+
+/*
+ * Test metadata seeded by the head of a pipeline and added by a Transform.
+ */
+function testMetadata(_, callback)
+{
+	var source, splitter, sink, outputs, warnings;
+
+	console.log('test: provenance metadata');
+
+	source = new LineSource('/var/tmp/x.csv', [ 'a,b', 'c,,d' ]);
+	splitter = new FieldSplitter();
+	sink = collector();
+	source.pipe(splitter);
+	splitter.pipe(sink);
+
+	warnings = [];
+	splitter.on('warn', function (context) {
+		warnings.push(context.label());
+	});
+
+	outputs = [];
+	sink.on('data', function (pv) { outputs.push(pv); });
+	sink.on('end', function () {
+		mod_assert.deepEqual(outputs.map(function (pv) {
+			return (pv.label());
+		}), [
+		    'collector input 1 from FieldSplitter input 1 ' +
+			'(record a, field 1) from /var/tmp/x.csv ' +
+			'(line 1, offset 0): value \'a\'',
+		    'collector input 2 from FieldSplitter input 1 ' +
+			'(record a, field 2) from /var/tmp/x.csv ' +
+			'(line 1, offset 0): value \'b\'',
+		    'collector input 3 from FieldSplitter input 2 ' +
+			'(record c, field 1) from /var/tmp/x.csv ' +
+			'(line 2, offset 4): value \'c\'',
+		    'collector input 4 from FieldSplitter input 2 ' +
+			'(record c, field 3) from /var/tmp/x.csv ' +
+			'(line 2, offset 4): value \'d\''
+		]);
+
+		mod_assert.deepEqual(warnings, [
+		    'FieldSplitter input 2 (record c, field 2) from ' +
+			'/var/tmp/x.csv (line 2, offset 4): value \'c,,d\''
+		]);
+
+		mod_assert.deepEqual(outputs[3].toJSON(), {
+		    'value': 'd',
+		    'provenance': [ {
+			'stream': '/var/tmp/x.csv',
+			'input': null,
+			'meta': { 'line': 2, 'offset': 4 }
+		    }, {
+			'stream': 'FieldSplitter',
+			'input': 2,
+			'meta': { 'record': 'c', 'field': 3 }
+		    }, {
+			'stream': 'collector',
+			'input': 4
+		    } ]
+		});
+		mod_assert.deepEqual(JSON.parse(JSON.stringify(outputs[3])),
+		    outputs[3].toJSON());
+
+		mod_assert.throws(function () {
+			splitter.vsAnnotate({ 'line': 3 });
+		}, /vsAnnotate\(\) called outside/);
+		callback();
+	});
+}
+
+/*
+ * Test values derived from several inputs, including inputs from different
+ * sources.
+ */
+function testDerived(_, callback)
+{
+	var s1, s2, splitter, batcher, sink, outputs;
+
+	console.log('test: values derived from several inputs');
+
+	s1 = new LineSource('a.csv', [ 'a,b', 'c', 'd,e' ]);
+	s2 = new LineSource('b.csv', [ 'f' ]);
+	splitter = new FieldSplitter();
+	batcher = new Batcher(4);
+	sink = collector();
+	s1.pipe(splitter);
+	splitter.pipe(batcher, { 'end': false });
+	batcher.pipe(sink);
+
+	outputs = [];
+	sink.on('data', function (pv) { outputs.push(pv); });
+	sink.on('end', function () {
+		var json;
+
+		mod_assert.deepEqual(outputs.map(function (pv) {
+			return (pv.label());
+		}), [
+		    'collector input 1 from Batcher inputs 1-4 from ' +
+			'FieldSplitter inputs 1-3 (record (3 values), ' +
+			'field 1-2) from a.csv (line 1-3, offset 0, 4, 6): ' +
+			'value [ \'a\', \'b\', \'c\', \'d\' ]',
+		    'collector input 2 from Batcher inputs 5-6 from ' +
+			'(FieldSplitter input 3 (record d, field 2) from ' +
+			'a.csv (line 3, offset 6); ' +
+			'b.csv (line 1, offset 0)): value [ \'e\', \'f\' ]'
+		]);
+
+		json = outputs[1].toJSON();
+		mod_assert.deepEqual(json.provenance[0], {
+		    'stream': 'Batcher',
+		    'input': 6,
+		    'inputs': [ 5, 6 ],
+		    'from': [ [ {
+			'stream': 'a.csv',
+			'input': null,
+			'meta': { 'line': 3, 'offset': 6 }
+		    }, {
+			'stream': 'FieldSplitter',
+			'input': 3,
+			'meta': { 'record': 'd', 'field': 2 }
+		    } ], [ {
+			'stream': 'b.csv',
+			'input': null,
+			'meta': { 'line': 1, 'offset': 0 }
+		    } ] ]
+		});
+		mod_assert.deepEqual(json.provenance[1],
+		    { 'stream': 'collector', 'input': 2 });
+
+		mod_assert.throws(function () {
+			mod_vstream.ProvenanceValue.derive('x', batcher,
+			    [ outputs[0] ]);
+		}, /parents must come from source.vsContext\(\)/);
+		callback();
+	});
+
+	/*
+	 * Feed the second source straight into the batcher once the first
+	 * source's data has made it through the splitter.
+	 */
+	splitter.on('end', function () { s2.pipe(batcher); });
+}
+
+/*
+ * Test a ProvenancePolicy that limits depth and shares provenance among values
+ * pushed for the same input.
+ */
+function testPolicy(_, callback)
+{
+	var pipeline, policy, outputs, shared, unshared, deep, i;
+
+	console.log('test: provenance policy');
+
+	pipeline = repeatPipeline([ 'one', 'two' ], 4);
+	policy = new mod_vstream.ProvenancePolicy({ 'maxDepth': 3 });
+	policy.applyToPipeline(pipeline.tail);
+	pipeline.tail.vs_marshalmode = 'marshal';
+
+	outputs = [];
+	pipeline.tail.on('data', function (pv) { outputs.push(pv); });
+	pipeline.tail.on('end', function () {
+		mod_assert.equal(outputs.length, 32);
+		mod_assert.equal(outputs[0].label(), 'r4 input 1 from ' +
+		    'r3 input 1 from 2 other steps from ' +
+		    'src (line 1, offset 0): value \'one\'');
+		mod_assert.equal(outputs[31].label(), 'r4 input 16 from ' +
+		    'r3 input 8 from 2 other steps from ' +
+		    'src (line 2, offset 4): value \'two\'');
+		mod_assert.deepEqual(outputs[0].toJSON().provenance, [
+		    { 'stream': 'src', 'input': null,
+			'meta': { 'line': 1, 'offset': 0 } },
+		    { 'elided': 2 },
+		    { 'stream': 'r3', 'input': 1 },
+		    { 'stream': 'r4', 'input': 1 }
+		]);
+
+		/* Both outputs for each input share their provenance. */
+		mod_assert.strictEqual(outputs[0].pv_provenance,
+		    outputs[1].pv_provenance);
+		mod_assert.notStrictEqual(outputs[1].pv_provenance,
+		    outputs[2].pv_provenance);
+
+		/*
+		 * Values from different inputs share the provenance that
+		 * those inputs had in common rather than each copying it.
+		 */
+		mod_assert.strictEqual(outputs[0].pv_node.pn_parent,
+		    outputs[2].pv_node.pn_parent);
+		mod_assert.notStrictEqual(outputs[0].pv_node.pn_parent,
+		    outputs[4].pv_node.pn_parent);
+		mod_assert.strictEqual(outputs[0].pv_node.pn_parent.pn_parent,
+		    outputs[4].pv_node.pn_parent.pn_parent);
+
+		/* Long chains are still bounded. */
+		deep = outputs[0];
+		for (i = 0; i < 20; i++)
+			deep = deep.next(i, pipeline.tail);
+		mod_assert.ok(deep.pv_node.pn_length <= 6);
+		mod_assert.equal(deep.label(), 'r4 input 16 from ' +
+		    'r4 input 16 from 22 other steps from ' +
+		    'src (line 1, offset 0): value 19');
+
+		/*
+		 * The same holds for values created directly with next(), but
+		 * without sharing, each value gets its own copy.
+		 */
+		shared = outputs[0].next('x', pipeline.tail);
+		mod_assert.strictEqual(shared.pv_provenance,
+		    outputs[0].next('y', pipeline.tail).pv_provenance);
+		policy = new mod_vstream.ProvenancePolicy(
+		    { 'maxDepth': 3, 'share': false });
+		pipeline.tail.vsSetProvenancePolicy(policy);
+		unshared = outputs[0].next('x', pipeline.tail);
+		mod_assert.notStrictEqual(unshared.pv_provenance,
+		    outputs[0].next('y', pipeline.tail).pv_provenance);
+		mod_assert.deepEqual(unshared.pv_provenance,
+		    shared.pv_provenance);
+
+		mod_assert.throws(function () {
+			return (new mod_vstream.ProvenancePolicy(
+			    { 'maxDepth': 1 }));
+		}, /args.maxDepth must be at least 2/);
+		callback();
+	});
+}
+
+/*
+ * Test a ProvenancePolicy that disables provenance tracking.
+ */
+function testDisabled(_, callback)
+{
+	var pipeline, policy, outputs, warnings;
+
+	console.log('test: provenance disabled');
+
+	pipeline = repeatPipeline([ 'one', 'warnme' ], 2);
+	policy = new mod_vstream.ProvenancePolicy({ 'enabled': false });
+	policy.applyToPipeline(pipeline.head);
+
+	warnings = [];
+	pipeline.tail.vs_upstreams[0].on('warn', function (context) {
+		warnings.push(context.label());
+	});
+
+	outputs = [];
+	pipeline.tail.vs_marshalmode = 'marshal';
+	pipeline.tail.on('data', function (c) { outputs.push(c); });
+	pipeline.tail.on('end', function () {
+		mod_assert.deepEqual(outputs, [ 'one', 'one', 'one', 'one',
+		    'warnme', 'warnme', 'warnme', 'warnme' ]);
+		mod_assert.deepEqual(warnings,
+		    [ 'r1 input 2 from src (line 2, offset 4): ' +
+			'value \'warnme\'' ]);
+		mod_assert.deepEqual(pipeline.tail.vsCounters(), {
+		    'ninputs': 4,
+		    'noutputs': 8,
+		    'nwarned': 2,
+		    'maxrbuf': pipeline.tail.vsCounters()['maxrbuf'],
+		    'maxwbuf': pipeline.tail.vsCounters()['maxwbuf']
+		});
+		callback();
+	});
+}
+
+/*
+ * Test serializing provenance with toJSON() and restoring it with fromJSON().
+ */
+function testSerialize(_, callback)
+{
+	var r1, pv, json, restored;
+
+	console.log('test: provenance serialization');
+
+	r1 = new Repeat('r1');
+	r1.vsSetProvenancePolicy(
+	    new mod_vstream.ProvenancePolicy({ 'maxDepth': 2 }));
+	pv = ProvenanceValue.seed({ 'a': [ 1 ] }, 'src', { 'line': 3 });
+	pv = pv.next('x', r1).next('y', r1).next('z', r1);
+	json = JSON.parse(JSON.stringify(pv));
+	mod_assert.deepEqual(json, {
+	    'value': 'z',
+	    'provenance': [
+		{ 'stream': 'src', 'input': null, 'meta': { 'line': 3 } },
+		{ 'elided': 2 },
+		{ 'stream': 'r1', 'input': 0 }
+	    ]
+	});
+
+	restored = ProvenanceValue.fromJSON(json);
+	mod_assert.ok(restored instanceof ProvenanceValue);
+	mod_assert.deepEqual(restored.pv_provenance, pv.pv_provenance);
+	mod_assert.equal(restored.label(), pv.label());
+	mod_assert.deepEqual(restored.toJSON(), json);
+
+	[
+	    null,
+	    'value',
+	    { 'value': 1 },
+	    { 'value': 1, 'provenance': [ null ] },
+	    { 'value': 1, 'provenance': [ { 'stream': 3, 'input': 1 } ] },
+	    { 'value': 1, 'provenance': [ { 'stream': 's', 'input': '1' } ] },
+	    { 'value': 1, 'provenance': [ { 'elided': 0 } ] },
+	    { 'value': 1, 'provenance': [
+		{ 'stream': 's', 'input': 1, 'meta': 'line 1' } ] },
+	    { 'value': 1, 'provenance': [
+		{ 'stream': 's', 'input': 1, 'inputs': [ 1 ] } ] }
+	].forEach(function (bad) {
+		mod_assert.throws(function () {
+			ProvenanceValue.fromJSON(bad);
+		}, /^Error: invalid provenance/i);
+	});
+
+	callback();
+}
+
+/*
+ * Test passing values with their provenance through a ProvenanceEncoder, a
+ * byte stream (as though to another process), and a ProvenanceDecoder.
+ */
+function testCodec(_, callback)
+{
+	var source, splitter, batcher, encoder, encoded;
+
+	console.log('test: provenance across process boundaries');
+
+	source = new LineSource('/var/tmp/x.csv', [ 'a,b', 'c,,d', 'e' ]);
+	splitter = new FieldSplitter();
+	batcher = new Batcher(2);
+	encoder = new mod_vstream.ProvenanceEncoder();
+	source.pipe(splitter);
+	splitter.pipe(batcher);
+	batcher.pipe(encoder);
+
+	encoded = '';
+	encoder.on('data', function (c) { encoded += c; });
+	encoder.on('end', function () {
+		var lines, linestream, decoder, sink, outputs, rejects, i;
+
+		lines = encoded.split('\n');
+		mod_assert.equal(lines.length, 4);
+		mod_assert.equal(lines[3], '');
+		mod_assert.deepEqual(JSON.parse(lines[2]), {
+		    'value': [ 'e' ],
+		    'provenance': [ {
+			'stream': 'Batcher',
+			'input': 5,
+			'inputs': [ 5 ],
+			'from': [ [ {
+			    'stream': '/var/tmp/x.csv',
+			    'input': null,
+			    'meta': { 'line': 3, 'offset': 9 }
+			}, {
+			    'stream': 'FieldSplitter',
+			    'input': 3,
+			    'meta': { 'record': 'e', 'field': 1 }
+			} ] ]
+		    }, {
+			'stream': 'ProvenanceEncoder',
+			'input': 3
+		    } ]
+		});
+
+		/*
+		 * On the consuming side, write the encoded data in arbitrary
+		 * pieces, with a blank line and a bad line mixed in.
+		 */
+		linestream = new mod_lstream();
+		decoder = new mod_vstream.ProvenanceDecoder(
+		    { 'name': 'decoder', 'deadLetter': true });
+		sink = collector();
+		linestream.pipe(decoder);
+		decoder.pipe(sink);
+
+		rejects = [];
+		decoder.vsDeadLetters().on('data',
+		    function (r) { rejects.push(r); });
+
+		outputs = [];
+		sink.on('data', function (pv) { outputs.push(pv); });
+		sink.on('end', function () {
+			mod_assert.deepEqual(outputs.map(function (pv) {
+				return (pv.label());
+			}), [
+			    'collector input 1 from decoder input 1 from ' +
+				'ProvenanceEncoder input 1 from Batcher ' +
+				'inputs 1-2 from FieldSplitter input 1 ' +
+				'(record a, field 1-2) from /var/tmp/x.csv ' +
+				'(line 1, offset 0): value [ \'a\', \'b\' ]',
+			    'collector input 2 from decoder input 2 from ' +
+				'ProvenanceEncoder input 2 from Batcher ' +
+				'inputs 3-4 from FieldSplitter input 2 ' +
+				'(record c, field 1, 3) from /var/tmp/x.csv ' +
+				'(line 2, offset 4): value [ \'c\', \'d\' ]',
+			    'collector input 3 from decoder input 5 from ' +
+				'ProvenanceEncoder input 3 from Batcher ' +
+				'input 5 from FieldSplitter input 3 ' +
+				'(record e, field 1) from /var/tmp/x.csv ' +
+				'(line 3, offset 9): value [ \'e\' ]'
+			]);
+
+			mod_assert.equal(rejects.length, 1);
+			mod_assert.equal(rejects[0].input, 4);
+			mod_assert.ok(rejects[0].error instanceof SyntaxError);
+			done = true;
+			callback();
+		});
+
+		lines.splice(2, 0, '', '{ bad');
+		encoded = lines.join('\n');
+		for (i = 0; i < encoded.length; i += 7)
+			linestream.write(encoded.substr(i, 7));
+		linestream.end();
+	});
+}
+
+mod_vasync.pipeline({
+    'funcs': [ testMetadata, testDerived, testPolicy, testDisabled,
+	testSerialize, testCodec ]
+}, function (err) {
+	if (!err && !done)
+		err = new Error('premature exit');
+
+	if (err) {
+		console.log('TEST FAILED');
+		throw (err);
+	}
+
+	console.log('TEST PASSED');
+});
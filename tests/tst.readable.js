@@ -0,0 +1,204 @@
+/*
+ * Test instrumented Readable streams at the head of a pipeline.
+ */
+
+var mod_assert = require('assert');
+var mod_stream = require('stream');
+var mod_util = require('util');
+var mod_vasync = require('vasync');
+var mod_vstream = require('../lib/vstream');
+
+var done;
+
+/*
+ * Readable that emits each of "rows" (objects with "id" and "value") using
+ * vsPushAt() to record its id, unless "plain" is true.  If "seed" is true, it
+ * instead pushes ProvenanceValues that it creates itself.
+ */
+function RowSource(rows, plain, seed)
+{
+	mod_stream.Readable.call(this, { 'objectMode': true });
+	mod_vstream.wrapReadable(this, 'rows');
+	this.rows = rows.slice(0);
+	this.plain = plain;
+	this.seed = seed;
+}
+
+mod_util.inherits(RowSource, mod_stream.Readable);
+
+RowSource.prototype._read = function ()
+{
+	var row;
+
+	if (this.rows.length === 0) {
+		this.push(null);
+		return;
+	}
+
+	row = this.rows.shift();
+	if (this.seed)
+		this.push(mod_vstream.ProvenanceValue.seed(row.value, 'table',
+		    { 'id': row.id }));
+	else if (this.plain)
+		this.push(row.value);
+	else
+		this.vsPushAt(row.value, { 'id': row.id });
+};
+
+/*
+ * Transform that upper-cases each input, failing for the input "bad".
+ */
+function Upper(name)
+{
+	mod_stream.Transform.call(this, { 'objectMode': true });
+	mod_vstream.wrapTransform(this, name);
+}
+
+mod_util.inherits(Upper, mod_stream.Transform);
+
+Upper.prototype._transform = function (chunk, _, callback)
+{
+	if (chunk == 'bad')
+		callback(new Error('bad input'));
+	else
+		callback(null, String(chunk).toUpperCase());
+};
+
+/*
+ * Returns a Writable that saves its inputs in "values".
+ */
+function sink(values)
+{
+	return (new mod_stream.Writable({
+	    'objectMode': true,
+	    'write': function (chunk, _, callback) {
+		values.push(chunk);
+		callback();
+	    }
+	}));
+}
+
+var rows = [
+    { 'id': 17, 'value': 'a' },
+    { 'id': 42, 'value': 'bad' },
+    { 'id': 58, 'value': 'c' }
+];
+
+/*
+ * Test that a Transform reading from an instrumented source reports errors with
+ * the source's metadata.
+ */
+function testSourceProvenance(_, callback)
+{
+	console.log('test: instrumented source');
+
+	mod_vstream.pipeline(new RowSource(rows), new Upper('upper'), sink([]),
+	    function (err) {
+		mod_assert.equal(err.message, 'bad input');
+		mod_assert.deepEqual(mod_vstream.errorContext(err), {
+		    'stream': 'upper',
+		    'phase': 'transform',
+		    'input': 2,
+		    'provenance': [
+			{ 'stream': 'rows', 'input': null,
+			    'meta': { 'id': 42 } },
+			{ 'stream': 'upper', 'input': 2 }
+		    ],
+		    'containers': [],
+		    'label': 'upper input 2 from rows (id 42): value \'bad\''
+		});
+		callback();
+	    });
+}
+
+/*
+ * Test an instrumented source whose values are pushed with plain push(), and
+ * which also has a reader that isn't instrumented.  That reader gets the raw
+ * values.
+ */
+function testSourcePlain(_, callback)
+{
+	var source, values, raw;
+
+	console.log('test: instrumented source with plain push');
+
+	source = new RowSource([ rows[0], rows[2] ], true);
+	values = [];
+	raw = [];
+	source.on('data', function (chunk) { raw.push(chunk); });
+	source.pipe(new Upper('upper')).pipe(sink(values)).on('finish',
+	    function () {
+		mod_assert.deepEqual(values, [ 'A', 'C' ]);
+		mod_assert.deepEqual(raw, [ 'a', 'c' ]);
+		mod_assert.equal(source.vsCounters()['noutputs'], 2);
+		callback();
+	    });
+}
+
+/*
+ * Test a source that seeds provenance itself, as sources did before
+ * instrumentReadable().  Readers that aren't instrumented get the raw values.
+ */
+function testSourceSeed(_, callback)
+{
+	var seeded, raw;
+
+	console.log('test: instrumented source with seeded values');
+
+	seeded = new RowSource(rows, false, true);
+	mod_vstream.pipeline(seeded, new Upper('upper'), sink([]),
+	    function (err) {
+		mod_assert.equal(mod_vstream.errorContext(err).label,
+		    'upper input 2 from table (id 42): value \'bad\'');
+
+		raw = [];
+		new RowSource(rows, false, true).on('data', function (c) {
+			raw.push(c);
+		}).on('end', function () {
+			mod_assert.deepEqual(raw, [ 'a', 'bad', 'c' ]);
+			callback();
+		});
+	    });
+}
+
+/*
+ * Test that a byte-oriented source emits raw data even to instrumented readers.
+ */
+function testSourceBytes(_, callback)
+{
+	var source, values;
+
+	console.log('test: instrumented byte source');
+
+	source = mod_vstream.wrapReadable(new mod_stream.Readable({
+	    'read': function () {}
+	}), 'bytes');
+	values = [];
+	mod_vstream.pipeline(source, new Upper('upper'), sink(values),
+	    function (err) {
+		mod_assert.ok(!err);
+		mod_assert.equal(values.join(''), 'ABC');
+		mod_assert.equal(source.vsCounters()['noutputs'], 2);
+		done = true;
+		callback();
+	    });
+
+	source.push('ab');
+	source.vsPushAt('c', { 'offset': 2 });
+	source.push(null);
+}
+
+mod_vasync.pipeline({
+    'funcs': [ testSourceProvenance, testSourcePlain, testSourceSeed,
+	testSourceBytes ]
+}, function (err) {
+	if (!err && !done)
+		err = new Error('premature exit');
+
+	if (err) {
+		console.log('TEST FAILED');
+		throw (err);
+	}
+
+	console.log('TEST PASSED');
+});
@@ -0,0 +1,133 @@
+/*
+ * Test the module-level registry of instrumented objects.
+ */
+
+var mod_assert = require('assert');
+var mod_stream = require('stream');
+var mod_vasync = require('vasync');
+var mod_vstream = require('../lib/vstream');
+
+var done;
+
+/*
+ * Returns an instrumented, object-mode PassThrough stream, registered if
+ * "register" is true.
+ */
+function passthru(name, register)
+{
+	return (mod_vstream.wrapTransform(
+	    new mod_stream.PassThrough({ 'objectMode': true }),
+	    { 'name': name, 'register': register }));
+}
+
+/*
+ * Test registration, lookup, and listing heads.  There are two pipelines: a1
+ * (registered) -> a2 -> a3, and b1 -> b2 (registered) plus b3 -> b2.  There's
+ * also a registered object that's not a stream and an unregistered pipeline.
+ */
+function testRegistry(_, callback)
+{
+	var a1, a2, a3, b1, b2, b3, c1, obj, chunks;
+
+	console.log('test: registry');
+
+	a1 = passthru('a1', true);
+	a2 = passthru('a2');
+	a3 = passthru('a3');
+	a1.pipe(a2);
+	a2.pipe(a3);
+
+	b1 = passthru('b1');
+	b2 = passthru('b2', true);
+	b3 = passthru('shared');
+	b1.pipe(b2);
+	b3.pipe(b2);
+
+	c1 = passthru('shared');
+
+	obj = {};
+	mod_vstream.instrumentObject(obj,
+	    { 'name': 'shared', 'register': true });
+
+	mod_assert.deepEqual(mod_vstream.registeredObjects(), [ a1, b2, obj ]);
+	mod_assert.deepEqual(mod_vstream.registeredHeads(), [ a1, b1, b3 ]);
+	mod_assert.deepEqual(mod_vstream.findByName('a3'), [ a3 ]);
+	mod_assert.deepEqual(mod_vstream.findByName('shared'), [ b3, obj ]);
+	mod_assert.deepEqual(mod_vstream.findByName('c1'), []);
+	mod_assert.ok(c1);
+
+	chunks = [];
+	mod_vstream.dumpRegistered({ 'write': function (c) {
+		chunks.push(c);
+	} });
+	mod_assert.deepEqual(chunks.join('').split('\n').filter(
+	    function (l) { return (/^\S/.test(l)); }).map(
+	    function (l) { return (l.split(' ')[0]); }),
+	    [ 'a1', 'a2', 'a3', 'b2', 'b1', 'shared' ]);
+	mod_assert.ok(/\n\nb2 /.test(chunks.join('')));
+
+	mod_assert.throws(function () { mod_vstream.registerObject(a1); },
+	    /object already registered/);
+	mod_vstream.unregisterObject(obj);
+	mod_assert.throws(function () { mod_vstream.unregisterObject(obj); },
+	    /object not registered/);
+	mod_vstream.registerObject(a3);
+	mod_assert.deepEqual(mod_vstream.registeredObjects(), [ a1, b2, a3 ]);
+	mod_assert.deepEqual(mod_vstream.registeredHeads(), [ a1, b1, b3 ]);
+
+	/*
+	 * Registered streams are removed when they end.  Ending the head of
+	 * the first pipeline causes all three streams to end.
+	 */
+	a3.resume();
+	a3.on('end', function () {
+		setImmediate(function () {
+			mod_assert.deepEqual(mod_vstream.registeredObjects(),
+			    [ b2 ]);
+			mod_vstream.unregisterObject(b2);
+			callback();
+		});
+	});
+	a1.end('datum');
+}
+
+/*
+ * Test exporting metrics for all registered pipelines.
+ */
+function testExporter(_, callback)
+{
+	var t1, t2, t3, exporter;
+
+	console.log('test: exporting registered pipelines');
+
+	t1 = passthru('t1', true);
+	t2 = passthru('t2');
+	t1.pipe(t2);
+	t3 = passthru('t1', true);
+
+	exporter = new mod_vstream.MetricsExporter({ 'useRegistry': true });
+	exporter.register('explicit', passthru('x1'));
+	mod_assert.deepEqual(exporter.toJSON().pipelines.map(function (p) {
+		return (p.name + ': ' + p.streams.map(
+		    function (s) { return (s.name); }).join(', '));
+	}), [ 'explicit: x1', 't1: t1, t2', 't1#2: t1' ]);
+
+	mod_vstream.unregisterObject(t1);
+	mod_vstream.unregisterObject(t3);
+	done = true;
+	callback();
+}
+
+mod_vasync.pipeline({
+    'funcs': [ testRegistry, testExporter ]
+}, function (err) {
+	if (!err && !done)
+		err = new Error('premature exit');
+
+	if (err) {
+		console.log('TEST FAILED');
+		throw (err);
+	}
+
+	console.log('TEST PASSED');
+});
@@ -0,0 +1,135 @@
+/*
+ * Test the StatsSampler.
+ */
+
+var mod_assert = require('assert');
+var mod_stream = require('stream');
+var mod_vasync = require('vasync');
+var mod_vstream = require('../lib/vstream');
+
+var done;
+
+/*
+ * Returns an instrumented, object-mode PassThrough stream.
+ */
+function passthru(name)
+{
+	return (mod_vstream.wrapTransform(
+	    new mod_stream.PassThrough({ 'objectMode': true }), name));
+}
+
+/*
+ * Test explicit samples of a two-stream pipeline.  Nothing consumes the output
+ * of the second stream, so data accumulates in its read buffer.
+ */
+function testSample(_, callback)
+{
+	var t1, t2, sampler, sample, emitted;
+
+	console.log('test: explicit samples');
+
+	t1 = passthru('t1');
+	t2 = passthru('t2');
+	t1.pipe(t2);
+
+	sampler = new mod_vstream.StatsSampler({
+	    'stream': t2,
+	    'interval': 1000
+	});
+	sampler.on('sample', function (s) { emitted = s; });
+
+	sample = sampler.sample();
+	mod_assert.ok(emitted === sample);
+	mod_assert.ok(sample.time instanceof Date);
+	mod_assert.strictEqual(sample.elapsed, null);
+	mod_assert.deepEqual(sample.streams.map(
+	    function (s) { return (s.name); }), [ 't2', 't1' ]);
+	mod_assert.deepEqual(sample.streams[0].counters, {});
+	mod_assert.deepEqual(sample.streams[0].rbuf,
+	    { 'value': 0, 'delta': 0, 'rate': 0, 'highWaterMark': 16 });
+
+	t1.write('one');
+	t1.write('two');
+	t1.write('three');
+
+	setTimeout(function () {
+		var c;
+
+		sample = sampler.sample();
+		mod_assert.equal(typeof (sample.elapsed), 'number');
+		mod_assert.ok(sample.elapsed > 0);
+
+		c = sample.streams[1].counters;
+		mod_assert.deepEqual(Object.keys(c),
+		    [ 'maxrbuf', 'maxwbuf', 'ninputs', 'noutputs' ]);
+		mod_assert.equal(c.ninputs.value, 3);
+		mod_assert.equal(c.ninputs.delta, 3);
+		mod_assert.equal(c.ninputs.rate, 3000 / sample.elapsed);
+		mod_assert.equal(sample.streams[0].rbuf.value, 3);
+		mod_assert.equal(sample.streams[0].rbuf.delta, 3);
+
+		t2.read();
+		setTimeout(function () {
+			sample = sampler.sample();
+			c = sample.streams[1].counters;
+			mod_assert.equal(c.ninputs.value, 3);
+			mod_assert.equal(c.ninputs.delta, 0);
+			mod_assert.equal(c.ninputs.rate, 0);
+			mod_assert.equal(sample.streams[0].rbuf.value, 2);
+			mod_assert.equal(sample.streams[0].rbuf.delta, -1);
+			mod_assert.ok(sample.streams[0].rbuf.rate < 0);
+			callback();
+		}, 10);
+	}, 10);
+}
+
+/*
+ * Test periodic samples.
+ */
+function testPeriodic(_, callback)
+{
+	var t1, sampler, nsamples, timer;
+
+	console.log('test: periodic samples');
+
+	t1 = passthru('t1');
+	sampler = new mod_vstream.StatsSampler({
+	    'stream': t1,
+	    'interval': 10
+	});
+
+	nsamples = 0;
+	sampler.on('sample', function (sample) {
+		mod_assert.equal(typeof (sample.elapsed), 'number');
+		mod_assert.equal(sample.streams.length, 1);
+		t1.write('x');
+
+		if (++nsamples < 3)
+			return;
+
+		sampler.stop();
+		clearTimeout(timer);
+		mod_assert.equal(sample.streams[0].counters.ninputs.delta, 1);
+		done = true;
+		callback();
+	});
+
+	sampler.start();
+
+	/* The sampler's timer doesn't keep us alive, so we must. */
+	timer = setTimeout(function () {}, 10000);
+}
+
+mod_vasync.pipeline({
+    'funcs': [ testSample, testPeriodic ]
+}, function (err) {
+	if (!err && !done)
+		err = new Error('premature exit');
+
+	if (err) {
+		console.log('TEST FAILED');
+		throw (err);
+	}
+
+	console.log('TEST PASSED');
+});
@@ -0,0 +1,203 @@
+/*
+ * Test pipeline snapshots and comparisons between them.
+ */
+
+var mod_assert = require('assert');
+var mod_stream = require('stream');
+var mod_vasync = require('vasync');
+var mod_vstream = require('../lib/vstream');
+
+var done;
+
+/*
+ * Returns an instrumented, object-mode PassThrough stream.
+ */
+function passthru(name)
+{
+	return (mod_vstream.wrapTransform(
+	    new mod_stream.PassThrough({ 'objectMode': true }), name));
+}
+
+/*
+ * Test the contents of a snapshot, and that it can't be modified.
+ */
+function testSnapshot(_, callback)
+{
+	var t1, t2, snap;
+
+	console.log('test: snapshot');
+
+	t1 = passthru('t1');
+	t2 = passthru('t2');
+	t1.pipe(t2);
+	t1.write('one');
+
+	snap = t1.vsSnapshot();
+	mod_assert.equal(typeof (snap.timestamp), 'number');
+	mod_assert.deepEqual(snap.edges, [ { 'from': 0, 'to': 1 } ]);
+	mod_assert.deepEqual(snap.nodes[1], {
+	    'id': 1,
+	    'name': 't2',
+	    'kind': 'duplex',
+	    'container': null,
+	    'rbuf': { 'length': 1, 'highWaterMark': 16 },
+	    'wbuf': { 'length': 0, 'highWaterMark': 16 },
+	    'counters': {
+		'maxrbuf': 1,
+		'maxwbuf': 0,
+		'ninputs': 1,
+		'noutputs': 1
+	    },
+	    'state': {
+		'flowing': null,
+		'ended': false,
+		'finished': false,
+		'destroyed': false
+	    }
+	});
+	mod_assert.strictEqual(snap.nodes[0].state.flowing, true);
+
+	mod_assert.ok(Object.isFrozen(snap));
+	mod_assert.ok(Object.isFrozen(snap.nodes));
+	mod_assert.ok(Object.isFrozen(snap.nodes[1].counters));
+	mod_assert.ok(Object.isFrozen(snap.nodes[1].rbuf));
+
+	/* Later activity doesn't change it. */
+	t1.write('two');
+	mod_assert.equal(snap.nodes[1].counters['ninputs'], 1);
+	mod_assert.equal(snap.nodes[1].rbuf.length, 1);
+	callback();
+}
+
+/*
+ * Test comparing snapshots of a pipeline as data flows through it and it ends.
+ */
+function testDiff(_, callback)
+{
+	var t1, t2, before, after, diff, lines;
+
+	console.log('test: snapshot diff');
+
+	t1 = passthru('t1');
+	t2 = passthru('t2');
+	t1.pipe(t2);
+	before = t2.vsSnapshot();
+	diff = mod_vstream.diffSnapshots(before, before);
+	mod_assert.deepEqual(diff, { 'elapsed': 0, 'streams': [] });
+	mod_assert.equal(mod_vstream.renderSnapshotDiff(diff),
+	    'no changes in 0 ms\n');
+
+	t1.write('one');
+	t1.write('two');
+	t1.end();
+	t2.on('finish', function () {
+		after = t2.vsSnapshot();
+		diff = mod_vstream.diffSnapshots(before, after);
+		mod_assert.equal(diff.elapsed,
+		    after.timestamp - before.timestamp);
+		mod_assert.deepEqual(diff.streams[0], {
+		    'name': 't2',
+		    'status': 'changed',
+		    'before': 0,
+		    'after': 0,
+		    'counters': {
+			'maxrbuf': { 'before': 0, 'after': 2, 'delta': 2 },
+			'ninputs': { 'before': 0, 'after': 2, 'delta': 2 },
+			'noutputs': { 'before': 0, 'after': 2, 'delta': 2 }
+		    },
+		    'rbuf': {
+			'before': 0,
+			'after': 2,
+			'delta': 2,
+			'highWaterMark': 16
+		    },
+		    'wbuf': null,
+		    'state': {
+			'ended': { 'before': false, 'after': true },
+			'finished': { 'before': false, 'after': true }
+		    }
+		});
+		mod_assert.equal(diff.streams[1].name, 't1');
+
+		lines = mod_vstream.renderSnapshotDiff(diff).split('\n');
+		mod_assert.deepEqual(lines.slice(1, 8), [
+		    't2',
+		    '    maxrbuf:         +2 (0 -> 2)',
+		    '    ninputs:         +2 (0 -> 2)',
+		    '    noutputs:        +2 (0 -> 2)',
+		    '    rbuf:            grew from 0 to 2/16',
+		    '    ended:           false -> true',
+		    '    finished:        false -> true'
+		]);
+
+		/* Draining the read buffer shows up in the next comparison. */
+		t2.read();
+		t2.read();
+		diff = mod_vstream.diffSnapshots(after, t2.vsSnapshot());
+		mod_assert.deepEqual(diff.streams[0].rbuf, {
+		    'before': 2,
+		    'after': 0,
+		    'delta': -2,
+		    'highWaterMark': 16
+		});
+		mod_assert.ok(/drained from 2 to 0\/16/.test(
+		    mod_vstream.renderSnapshotDiff(diff)));
+		callback();
+	});
+}
+
+/*
+ * Test comparing snapshots when streams are added to and removed from the
+ * pipeline.  Streams with the same name are matched up in order.  Pipes aren't
+ * forgotten on unpipe(), so we remove the linkage explicitly.
+ */
+function testDiffTopology(_, callback)
+{
+	var t1, t2, t3, t4, before, diff, text;
+
+	console.log('test: snapshot diff with added and removed streams');
+
+	t1 = passthru('t1');
+	t2 = passthru('dup');
+	t3 = passthru('dup');
+	t1.pipe(t2);
+	t1.pipe(t3);
+	before = t1.vsSnapshot();
+
+	t1.unpipe(t3);
+	t1.vsRecordUnipe(t3);
+	t4 = passthru('t4');
+	t2.pipe(t4);
+	diff = mod_vstream.diffSnapshots(before, t1.vsSnapshot());
+	mod_assert.deepEqual(diff.streams.map(function (s) {
+		return ([ s.name, s.status, s.before, s.after ]);
+	}), [
+	    [ 'dup', 'changed', 1, 1 ],
+	    [ 't4', 'added', null, 2 ],
+	    [ 'dup', 'removed', 2, null ]
+	]);
+
+	/* The remaining "dup" started flowing when it was piped to "t4". */
+	mod_assert.deepEqual(diff.streams[0].state,
+	    { 'flowing': { 'before': null, 'after': true } });
+
+	text = mod_vstream.renderSnapshotDiff(diff);
+	mod_assert.ok(/^t4 \(added\)$/m.test(text));
+	mod_assert.ok(/^dup \(removed\)$/m.test(text));
+	done = true;
+	callback();
+}
+
+mod_vasync.pipeline({
+    'funcs': [ testSnapshot, testDiff, testDiffTopology ]
+}, function (err) {
+	if (!err && !done)
+		err = new Error('premature exit');
+
+	if (err) {
+		console.log('TEST FAILED');
+		throw (err);
+	}
+
+	console.log('TEST PASSED');
+});
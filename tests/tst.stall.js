@@ -0,0 +1,157 @@
+/*
+ * Test the StallDetector.
+ */
+
+var mod_assert = require('assert');
+var mod_stream = require('stream');
+var mod_vasync = require('vasync');
+var mod_vstream = require('../lib/vstream');
+
+var done, keepalive;
+
+/*
+ * Returns an instrumented, object-mode PassThrough stream.
+ */
+function passthru(name)
+{
+	return (mod_vstream.wrapTransform(
+	    new mod_stream.PassThrough({ 'objectMode': true }), name));
+}
+
+/*
+ * Test a pipeline whose sink never finishes writing anything, so that data
+ * backs up all the way to the head.  The sink should be identified as the
+ * bottleneck.
+ */
+function testBackpressure(_, callback)
+{
+	var t1, t2, sink, detector, i, nstalls;
+
+	console.log('test: backpressure stall');
+
+	t1 = passthru('t1');
+	t2 = passthru('t2');
+	sink = new mod_stream.Writable({
+	    'objectMode': true,
+	    'highWaterMark': 2
+	});
+	sink._write = function () {};
+	sink = mod_vstream.wrapStream(sink, 'sink');
+	t1.pipe(t2);
+	t2.pipe(sink);
+
+	nstalls = 0;
+	detector = new mod_vstream.StallDetector({
+	    'stream': t1,
+	    'timeout': 30,
+	    'interval': 5
+	});
+	detector.on('stall', function (stall) {
+		nstalls++;
+		mod_assert.ok(stall.stream === sink);
+		mod_assert.equal(stall.name, 'sink');
+		mod_assert.equal(stall.reason, 'backpressure');
+		mod_assert.ok(stall.idle >= 30);
+		mod_assert.ok(/^t1 .*\n(.*\n)*t2 .*\n(.*\n)*sink .*wbuf: 2\/2/.
+		    test(stall.dump));
+		console.log(stall.dump);
+
+		/* Make sure we don't report the same stall twice. */
+		setTimeout(function () {
+			detector.stop();
+			mod_assert.equal(nstalls, 1);
+			callback();
+		}, 50);
+	});
+
+	for (i = 0; i < 50; i++)
+		t1.write('datum ' + i);
+	detector.start();
+}
+
+/*
+ * Test a pipeline whose output is never read.  After the stall is reported,
+ * read the data to make sure we report that the pipeline has resumed.
+ */
+function testUnconsumed(_, callback)
+{
+	var t1, t2, detector, nstalls;
+
+	console.log('test: unconsumed stall');
+
+	t1 = passthru('t1');
+	t2 = passthru('t2');
+	t1.pipe(t2);
+
+	nstalls = 0;
+	detector = new mod_vstream.StallDetector({
+	    'stream': t2,
+	    'timeout': 30
+	});
+	detector.on('stall', function (stall) {
+		nstalls++;
+		mod_assert.ok(stall.stream === t2);
+		mod_assert.equal(stall.reason, 'unconsumed');
+		t2.read();
+	});
+	detector.on('resume', function () {
+		detector.stop();
+		mod_assert.equal(nstalls, 1);
+		callback();
+	});
+
+	t1.write('datum');
+	detector.start();
+}
+
+/*
+ * Test that an idle pipeline with no pending data is never reported.
+ */
+function testIdle(_, callback)
+{
+	var t1, t2, detector;
+
+	console.log('test: idle pipeline');
+
+	t1 = passthru('t1');
+	t2 = passthru('t2');
+	t1.pipe(t2);
+	t2.resume();
+
+	detector = new mod_vstream.StallDetector({
+	    'stream': t1,
+	    'timeout': 10,
+	    'interval': 5
+	});
+	detector.on('stall', function () {
+		throw (new Error('unexpected stall'));
+	});
+
+	t1.write('datum');
+	detector.start();
+	setTimeout(function () {
+		detector.stop();
+		mod_assert.equal(t2.vsCounters().noutputs, 1);
+		done = true;
+		callback();
+	}, 50);
+}
+
+/* The detector's timers don't keep us alive, so we must. */
+keepalive = setTimeout(function () {}, 10000);
+
+mod_vasync.pipeline({
+    'funcs': [ testBackpressure, testUnconsumed, testIdle ]
+}, function (err) {
+	clearTimeout(keepalive);
+
+	if (!err && !done)
+		err = new Error('premature exit');
+
+	if (err) {
+		console.log('TEST FAILED');
+		throw (err);
+	}
+
+	console.log('TEST PASSED');
+});
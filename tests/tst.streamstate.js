@@ -0,0 +1,262 @@
+/*
+ * Test reporting stream state across Node versions, and in vsDumpDebug().
+ */
+
+var mod_assert = require('assert');
+var mod_stream = require('stream');
+var mod_vasync = require('vasync');
+var mod_streamstate = require('../lib/stream-state');
+var mod_vstream = require('../lib/vstream');
+
+var done;
+
+/*
+ * Returns a Writable that accepts everything but never finishes writing it.
+ */
+function stuck(options)
+{
+	var args = { 'write': function () {} };
+
+	Object.keys(options || {}).forEach(function (k) {
+		args[k] = options[k];
+	});
+
+	return (new mod_stream.Writable(args));
+}
+
+/*
+ * Test the initial state of each kind of stream.
+ */
+function testInitial(_, callback)
+{
+	var writable;
+
+	console.log('test: initial state');
+
+	mod_assert.deepEqual(mod_streamstate.readableState(
+	    new mod_stream.PassThrough({ 'objectMode': true })), {
+	    'flowing': null,
+	    'ended': false,
+	    'endEmitted': false,
+	    'objectMode': true,
+	    'pipesCount': 0,
+	    'destroyed': false
+	});
+
+	writable = stuck();
+	mod_assert.strictEqual(mod_streamstate.readableState(writable), null);
+	mod_assert.deepEqual(mod_streamstate.writableState(writable), {
+	    'ending': false,
+	    'finished': false,
+	    'corked': 0,
+	    'needDrain': false,
+	    'objectMode': false,
+	    'destroyed': false
+	});
+	mod_assert.strictEqual(mod_streamstate.writableState(
+	    new mod_stream.Readable({ 'read': function () {} })), null);
+	callback();
+}
+
+/*
+ * Test "flowing" and "pipesCount".
+ */
+function testFlowing(_, callback)
+{
+	var stream;
+
+	console.log('test: flowing and pipes');
+
+	stream = new mod_stream.PassThrough();
+	stream.pipe(stuck());
+	stream.pipe(stuck());
+	mod_assert.strictEqual(
+	    mod_streamstate.readableState(stream).flowing, true);
+	mod_assert.equal(mod_streamstate.readableState(stream).pipesCount, 2);
+
+	stream.pause();
+	mod_assert.strictEqual(
+	    mod_streamstate.readableState(stream).flowing, false);
+	callback();
+}
+
+/*
+ * Test "ending", "ended", "endEmitted", and "finished" as a stream ends.
+ */
+function testEnd(_, callback)
+{
+	var stream, rstate, wstate;
+
+	console.log('test: ending');
+
+	stream = new mod_stream.PassThrough();
+	stream.end('data');
+	wstate = mod_streamstate.writableState(stream);
+	mod_assert.strictEqual(wstate.ending, true);
+	mod_assert.strictEqual(wstate.finished, false);
+
+	stream.on('finish', function () {
+		/* Nothing has read the data yet. */
+		rstate = mod_streamstate.readableState(stream);
+		mod_assert.strictEqual(rstate.ended, true);
+		mod_assert.strictEqual(rstate.endEmitted, false);
+		mod_assert.strictEqual(
+		    mod_streamstate.writableState(stream).finished, true);
+		stream.resume();
+	});
+
+	stream.on('end', function () {
+		setImmediate(function () {
+			mod_assert.strictEqual(mod_streamstate.readableState(
+			    stream).endEmitted, true);
+			callback();
+		});
+	});
+}
+
+/*
+ * Test "corked", "needDrain", and "destroyed".
+ */
+function testWritable(_, callback)
+{
+	var stream;
+
+	console.log('test: corked, needDrain, destroyed');
+
+	stream = stuck({ 'highWaterMark': 2 });
+	stream.cork();
+	stream.cork();
+	mod_assert.equal(mod_streamstate.writableState(stream).corked, 2);
+	stream.uncork();
+	mod_assert.equal(mod_streamstate.writableState(stream).corked, 1);
+	stream.uncork();
+
+	mod_assert.strictEqual(stream.write('abc'), false);
+	mod_assert.strictEqual(
+	    mod_streamstate.writableState(stream).needDrain, true);
+
+	stream.on('error', function () {});
+	stream.destroy();
+	mod_assert.strictEqual(
+	    mod_streamstate.writableState(stream).destroyed, true);
+	callback();
+}
+
+/*
+ * Test streams that look like they came from older versions of Node, which
+ * have none of the public properties and different internal fields.
+ */
+function testLegacy(_, callback)
+{
+	var dest, stream;
+
+	console.log('test: legacy stream state');
+
+	/* Before Node 14, "pipes" was a single stream when there was one. */
+	dest = {};
+	stream = {
+	    '_readableState': {
+		'flowing': false,
+		'ended': true,
+		'endEmitted': false,
+		'objectMode': true,
+		'pipes': dest,
+		'pipesCount': 1
+	    },
+	    '_writableState': {
+		'ending': true,
+		'finished': false,
+		'corked': 1,
+		'needDrain': true,
+		'objectMode': false
+	    }
+	};
+	mod_assert.deepEqual(mod_streamstate.readableState(stream), {
+	    'flowing': false,
+	    'ended': true,
+	    'endEmitted': false,
+	    'objectMode': true,
+	    'pipesCount': 1,
+	    'destroyed': false
+	});
+	mod_assert.deepEqual(mod_streamstate.writableState(stream), {
+	    'ending': true,
+	    'finished': false,
+	    'corked': 1,
+	    'needDrain': true,
+	    'objectMode': false,
+	    'destroyed': false
+	});
+
+	/* Without "pipesCount", "pipes" may be a stream, an array, or null. */
+	delete (stream._readableState.pipesCount);
+	mod_assert.equal(mod_streamstate.readableState(stream).pipesCount, 1);
+	stream._readableState.pipes = [ dest, dest ];
+	mod_assert.equal(mod_streamstate.readableState(stream).pipesCount, 2);
+	stream._readableState.pipes = null;
+	mod_assert.equal(mod_streamstate.readableState(stream).pipesCount, 0);
+
+	/* Without a "destroyed" property, we use the state's field. */
+	stream._writableState.destroyed = true;
+	mod_assert.strictEqual(
+	    mod_streamstate.writableState(stream).destroyed, true);
+	callback();
+}
+
+/*
+ * Test the state in vsDumpDebug() output.
+ */
+function testDump(_, callback)
+{
+	var t1, dest, chunks, writer;
+
+	console.log('test: dump state');
+
+	t1 = mod_vstream.wrapTransform(new mod_stream.PassThrough(
+	    { 'objectMode': true }), 't1');
+	dest = mod_vstream.wrapStream(stuck({ 'objectMode': true }), 'dest');
+	t1.pipe(dest);
+	dest.cork();
+
+	chunks = [];
+	writer = { 'write': function (c) { chunks.push(c); } };
+	t1.vsDumpDebug(writer, 0, { 'showState': true });
+	dest.vsDumpDebug(writer, 0, { 'showState': true });
+	mod_assert.equal(chunks.join('').split('\n').filter(function (l) {
+		return (!/\(max\)$/.test(l));
+	}).join('\n'), [
+	    't1                  ',
+	    '    writable:        ending: false, finished: false, ' +
+		'corked: 0, needDrain: false, objectMode: true',
+	    '    readable:        flowing: true, ended: false, ' +
+		'endEmitted: false, pipesCount: 1, objectMode: true',
+	    '    destroyed:       false',
+	    'dest                ',
+	    '    writable:        ending: false, finished: false, ' +
+		'corked: 1, needDrain: false, objectMode: true',
+	    '    destroyed:       false',
+	    ''
+	].join('\n'));
+
+	/* The state is left out by default. */
+	chunks = [];
+	t1.vsDumpDebug(writer);
+	mod_assert.ok(!/writable:|readable:|destroyed:/.test(chunks.join('')));
+	done = true;
+	callback();
+}
+
+mod_vasync.pipeline({
+    'funcs': [ testInitial, testFlowing, testEnd, testWritable, testLegacy,
+	testDump ]
+}, function (err) {
+	if (!err && !done)
+		err = new Error('premature exit');
+
+	if (err) {
+		console.log('TEST FAILED');
+		throw (err);
+	}
+
+	console.log('TEST PASSED');
+});
@@ -54,6 +54,15 @@ TestTransform.prototype._flush = function (callback)
 	});
 };
 
+/*
+ * Returns an instrumented object-mode PassThrough stream called "name".
+ */
+function passthru(name)
+{
+	return (mod_vstream.wrapTransform(
+	    new mod_stream.PassThrough({ 'objectMode': true }), name));
+}
+
 var count, done;
 
 /*
@@ -352,8 +361,481 @@ function testPipelineUnmarshaled(_, callback)
 	t1.end('two_worlds');
 }
 
+/*
+ * Test a stream piped to both instrumented and plain streams, including a
+ * PipelineStream that is itself piped to both.  Each reader should get the
+ * representation it expects, even when readers are added or removed after data
+ * has started flowing.  The pipeline looks like this:
+ *
+ *         +--> t2 (and later t3)
+ *         |
+ *     t1 -+--> plain
+ *         |
+ *         +--> p1 (containing p1a and p1b) -+--> t4
+ *                                           |
+ *                                           +--> plain2
+ */
+function testFanOut(_, callback)
+{
+	var t1, t2, t3, t4, p1, plain, plain2, results;
+
+	console.log('test: fan-out to instrumented and plain streams');
+
+	function collect(name, stream, label) {
+		results[name] = [];
+		stream.on('data', function (c) {
+			results[name].push(label ? c.label() : c);
+		});
+	}
+
+	t1 = passthru('t1');
+	t2 = passthru('t2');
+	t4 = passthru('t4');
+	p1 = new mod_vstream.PipelineStream({
+	    'streams': [ passthru('p1a'), passthru('p1b') ],
+	    'streamOptions': { 'objectMode': true }
+	});
+	plain = new mod_stream.PassThrough({ 'objectMode': true });
+	plain2 = new mod_stream.PassThrough({ 'objectMode': true });
+	t1.pipe(t2);
+	t1.pipe(plain);
+	t1.pipe(p1);
+	p1.pipe(t4);
+	p1.pipe(plain2);
+	t2.vs_marshalmode = 'marshal';
+	t4.vs_marshalmode = 'marshal';
+
+	results = {};
+	collect('listener', t1, false);
+	collect('t2', t2, true);
+	collect('plain', plain, false);
+	collect('t4', t4, true);
+	collect('plain2', plain2, false);
+
+	t1.write('a');
+	setImmediate(function () {
+		/* Add an instrumented reader after data has started flowing. */
+		t3 = passthru('t3');
+		t3.vs_marshalmode = 'marshal';
+		collect('t3', t3, true);
+		t1.pipe(t3);
+		t1.write({ 'b': 'b' });
+
+		setImmediate(function () {
+			/* Once those are unpiped, t1 stops wrapping outputs. */
+			t1.unpipe(t2);
+			t1.unpipe(t3);
+			t1.unpipe(p1);
+			mod_assert.deepEqual(t1.vs_marshalreaders, []);
+			t1.end('c');
+		});
+	});
+
+	plain.on('end', function () {
+		mod_assert.deepEqual(results, {
+		    'listener': [ 'a', { 'b': 'b' }, 'c' ],
+		    't2': [
+			't2 input 1 from t1 input 1: value \'a\'',
+			't2 input 2 from t1 input 2: value { b: \'b\' }'
+		    ],
+		    'plain': [ 'a', { 'b': 'b' }, 'c' ],
+		    't3': [
+			't3 input 1 from t1 input 2: value { b: \'b\' }'
+		    ],
+		    't4': [
+			't4 input 1 from p1b input 1 from p1a input 1 from ' +
+			    't1 input 1: value \'a\'',
+			't4 input 2 from p1b input 2 from p1a input 2 from ' +
+			    't1 input 2: value { b: \'b\' }'
+		    ],
+		    'plain2': [ 'a', { 'b': 'b' } ]
+		});
+		callback();
+	});
+}
+
+/*
+ * Test that vsGraph() finds every stream in a pipeline with fan-out, fan-in,
+ * and a PipelineStream, not just the first upstream and downstream of each one.
+ * The pipeline looks like this, where p1 contains t3 and t4:
+ *
+ *         +--> t2 --+
+ *     t1 -+         +--> t5
+ *         +--> p1 --+
+ */
+function testGraph(_, callback)
+{
+	var t1, t2, t3, t4, t5, p1, graph, names, edges, dot, chunks;
+
+	console.log('test: pipeline graph');
+
+	t1 = mod_vstream.wrapTransform(new TestTransform(), 't1');
+	t2 = mod_vstream.wrapTransform(new TestTransform(), 't2');
+	t3 = mod_vstream.wrapTransform(new TestTransform(), 't3');
+	t4 = mod_vstream.wrapTransform(new TestTransform(), 't4');
+	t5 = mod_vstream.wrapStream(new mod_stream.PassThrough(
+	    { 'objectMode': true }), 't5');
+	p1 = new mod_vstream.PipelineStream({ 'streams': [ t3, t4 ] });
+	t1.pipe(t2);
+	t1.pipe(p1);
+	t2.vsRecordPipe(t5);
+	p1.vsRecordPipe(t5);
+	t1.vsCounterBump('ninputs');
+
+	graph = t5.vsGraph();
+	names = graph.nodes.map(function (n) { return (n.name); });
+	mod_assert.deepEqual(names.slice(0).sort(),
+	    [ 'PipelineStream', 't1', 't2', 't3', 't4', 't5' ]);
+	mod_assert.deepEqual(graph.nodes[0], {
+	    'id': 0,
+	    'name': 't5',
+	    'kind': 'duplex',
+	    'container': null,
+	    'rbuf': { 'length': 0, 'highWaterMark': 16 },
+	    'wbuf': { 'length': 0, 'highWaterMark': 16 },
+	    'counters': {}
+	});
+	mod_assert.deepEqual(graph.nodes[names.indexOf('t1')].counters,
+	    { 'ninputs': 1 });
+	mod_assert.equal(graph.nodes[names.indexOf('t3')].container,
+	    names.indexOf('PipelineStream'));
+	mod_assert.equal(graph.nodes[names.indexOf('t4')].container,
+	    names.indexOf('PipelineStream'));
+
+	edges = graph.edges.map(function (e) {
+		return (names[e.from] + ' -> ' + names[e.to]);
+	}).sort();
+	mod_assert.deepEqual(edges, [
+	    'PipelineStream -> t5',
+	    't1 -> PipelineStream',
+	    't1 -> t2',
+	    't2 -> t5',
+	    't3 -> t4'
+	]);
+
+	/* The graph must be the same no matter where we start. */
+	mod_assert.deepEqual(t3.vsGraph().nodes.map(
+	    function (n) { return (n.name); }).sort(), names.slice(0).sort());
+	mod_assert.equal(t3.vsGraph().nodes[0].container,
+	    t3.vsGraph().nodes.map(
+	    function (n) { return (n.name); }).indexOf('PipelineStream'));
+
+	chunks = [];
+	t1.vsDumpGraph({ 'write': function (c) { chunks.push(c); } }, 'dot');
+	dot = chunks.join('');
+	mod_assert.equal(dot.split('\n')[0], 'digraph pipeline {');
+	mod_assert.ok(/subgraph cluster_\d+ {/.test(dot));
+	mod_assert.ok(dot.indexOf('label="t1\\nduplex\\n' +
+	    'wbuf: 0/16\\nrbuf: 0/16\\nninputs: 1"') != -1);
+	mod_assert.equal(dot.match(/ -> /g).length, 5);
+	t1.vsGraph().edges.forEach(function (e) {
+		mod_assert.ok(dot.indexOf('\tn' + e.from + ' -> n' + e.to +
+		    ';\n') != -1);
+	});
+
+	chunks = [];
+	t1.vsDumpGraph({ 'write': function (c) { chunks.push(c); } });
+	mod_assert.deepEqual(JSON.parse(chunks.join('')), t1.vsGraph());
+	callback();
+}
+
+/*
+ * Test provenance, walking, and debug output through nested PipelineStreams.
+ * The pipeline is t0 -> outer -> t4, where outer contains inner -> t3 and inner
+ * contains t1 -> t2.  All of these pass their inputs through unchanged.
+ */
+function testNestedPipeline(_, callback)
+{
+	var t0, t1, t2, t3, t4, inner, outer, walked, results, chunks;
+
+	console.log('test: nested pipelines');
+
+	t0 = passthru('t0');
+	t1 = passthru('t1');
+	t2 = passthru('t2');
+	t3 = passthru('t3');
+	t4 = passthru('t4');
+	inner = new mod_vstream.PipelineStream({
+	    'streams': [ t1, t2 ],
+	    'streamOptions': { 'objectMode': true }
+	});
+	outer = new mod_vstream.PipelineStream({
+	    'streams': [ inner, t3 ],
+	    'streamOptions': { 'objectMode': true }
+	});
+	mod_assert.deepEqual(outer.vsContents(), [ inner, t3 ]);
+	mod_assert.deepEqual(inner.vsContents(), [ t1, t2 ]);
+
+	t0.pipe(outer);
+	outer.pipe(t4);
+	t4.vs_marshalmode = 'marshal';
+
+	walked = [];
+	t0.vsWalk(function (s, depth) {
+		walked.push(s.vsName() + '/' + depth);
+	});
+	mod_assert.deepEqual(walked, [ 't0/0', 'PipelineStream/0',
+	    'PipelineStream/1', 't1/2', 't2/2', 't3/1', 't4/0' ]);
+
+	results = [];
+	t4.on('data', function (chunk) { results.push(chunk); });
+	t4.on('end', function () {
+		mod_assert.equal(results.length, 2);
+		mod_assert.equal(results[1].pv_value, 'b');
+		mod_assert.deepEqual(results[1].pv_provenance, [
+		    { 'pvp_source': 't0', 'pvp_input': 2 },
+		    { 'pvp_source': 't1', 'pvp_input': 2 },
+		    { 'pvp_source': 't2', 'pvp_input': 2 },
+		    { 'pvp_source': 't3', 'pvp_input': 2 },
+		    { 'pvp_source': 't4', 'pvp_input': 2 }
+		]);
+
+		/*
+		 * Buffer peaks depend on Node's buffering behavior, so we
+		 * leave them out of the comparison.
+		 */
+		chunks = [];
+		t0.vsWalk(function (s, depth) {
+			s.vsDumpDebug({
+			    'write': function (c) { chunks.push(c); }
+			}, depth, {});
+		});
+		chunks = chunks.join('').split('\n').filter(
+		    function (l) { return (!/\(max\)$/.test(l)); });
+		mod_assert.equal(chunks.join('\n'), [
+		    't0                  ',
+		    '    ninputs:         2',
+		    '    noutputs:        2',
+		    'PipelineStream      ',
+		    '    PipelineStream  ',
+		    '        t1          ',
+		    '            ninputs:         2',
+		    '            noutputs:        2',
+		    '        t2          ',
+		    '            ninputs:         2',
+		    '            noutputs:        2',
+		    '    t3              ',
+		    '        ninputs:         2',
+		    '        noutputs:        2',
+		    't4                  ',
+		    '    ninputs:         2',
+		    '    noutputs:        2',
+		    ''
+		].join('\n'));
+		callback();
+	});
+
+	t0.write('a');
+	t0.end('b');
+}
+
+/*
+ * Test that instrumented transforms keep latency histograms for _transform()
+ * and _flush() and that these show up in the debug output.
+ */
+function testLatency(_, callback)
+{
+	var t1, chunks;
+
+	console.log('test: transform latency');
+
+	t1 = mod_vstream.wrapTransform(new TestTransform(), 't1');
+	mod_assert.deepEqual(t1.vsLatency().transform.count, 0);
+	t1.resume();
+	t1.on('end', function () {
+		var latency = t1.vsLatency();
+
+		mod_assert.equal(latency.transform.count, 3);
+		mod_assert.equal(latency.flush.count, 1);
+		mod_assert.ok(latency.transform.min <= latency.transform.mean);
+		mod_assert.ok(latency.transform.mean <= latency.transform.max);
+		mod_assert.equal(latency.transform.buckets.reduce(
+		    function (sum, b) { return (sum + b.count); }, 0), 3);
+
+		chunks = [];
+		t1.vsDumpDebug({ 'write': function (c) { chunks.push(c); } });
+		chunks = chunks.join('');
+		mod_assert.ok(/\n    transform latency: count 3, min /.test(
+		    chunks));
+		mod_assert.ok(/\n    flush latency: count 1, min /.test(
+		    chunks));
+		callback();
+	});
+
+	t1.write('one');
+	t1.write('dropme');
+	t1.end('three');
+}
+
+/*
+ * Test counters, gauges, and maximums, including the buffer peaks that are
+ * tracked automatically for instrumented streams.
+ */
+function testCounterTypes(_, callback)
+{
+	var t1, chunks, upstream;
+
+	console.log('test: counter types');
+
+	t1 = mod_vstream.wrapStream(new mod_stream.PassThrough(
+	    { 'objectMode': true }), 't1');
+	t1.vsCounterBump('nthings');
+	t1.vsCounterAdd('nbytes', 100);
+	t1.vsCounterAdd('nbytes', 23);
+	t1.vsGaugeSet('queued', 5);
+	t1.vsGaugeAdd('queued', -2);
+	t1.vsMaxRecord('maxqueued', 5);
+	t1.vsMaxRecord('maxqueued', 3);
+
+	mod_assert.throws(function () { t1.vsCounterAdd('nbytes', -1); },
+	    /counters cannot be decremented/);
+	mod_assert.throws(function () { t1.vsGaugeSet('nbytes', 1); },
+	    /counter "nbytes" is a counter, not a gauge/);
+	mod_assert.throws(function () { t1.vsCounterBump('queued'); },
+	    /counter "queued" is a gauge, not a counter/);
+
+	t1.write('one');
+	t1.write('two');
+	t1.write('three');
+
+	mod_assert.deepEqual(t1.vsCounters(), {
+	    'nthings': 1,
+	    'nbytes': 123,
+	    'queued': 3,
+	    'maxqueued': 5,
+	    'maxrbuf': 3,
+	    'maxwbuf': 0
+	});
+	mod_assert.deepEqual(t1.vsCounters({ 'types': true }), {
+	    'nthings': { 'type': 'counter', 'value': 1 },
+	    'nbytes': { 'type': 'counter', 'value': 123 },
+	    'queued': { 'type': 'gauge', 'value': 3 },
+	    'maxqueued': { 'type': 'max', 'value': 5 },
+	    'maxrbuf': { 'type': 'max', 'value': 3 },
+	    'maxwbuf': { 'type': 'max', 'value': 0 }
+	});
+
+	chunks = [];
+	t1.vsDumpCounters({ 'write': function (c) { chunks.push(c); } });
+	mod_assert.equal(chunks.join(''), [
+	    't1                 maxqueued:          5 (max)',
+	    't1                 maxrbuf:            3 (max)',
+	    't1                 maxwbuf:            0 (max)',
+	    't1                 nbytes:           123',
+	    't1                 nthings:            1',
+	    't1                 queued:             3 (gauge)',
+	    ''
+	].join('\n'));
+
+	chunks = [];
+	t1.vsDumpDebug({ 'write': function (c) { chunks.push(c); } }, 0, {});
+	mod_assert.equal(chunks.join(''), [
+	    't1                  ',
+	    '    maxqueued:       5 (max)',
+	    '    maxrbuf:         3 (max)',
+	    '    maxwbuf:         0 (max)',
+	    '    nbytes:          123',
+	    '    nthings:         1',
+	    '    queued:          3 (gauge)',
+	    ''
+	].join('\n'));
+
+	/*
+	 * Streams that are only instrumented because they're piped into an
+	 * instrumented stream don't track their buffers.
+	 */
+	upstream = new mod_stream.PassThrough({ 'objectMode': true });
+	upstream.pipe(t1);
+	upstream.write('four');
+	mod_assert.deepEqual(upstream.vsCounters(), {});
+	mod_assert.equal(t1.vsCounters()['maxwbuf'], 0);
+
+	callback();
+}
+
+/*
+ * Test automatic chunk and byte counting for a byte-stream pipeline, and that
+ * it's off by default.
+ */
+function testCountData(_, callback)
+{
+	var source, passthru, objpassthru, sink, plain, ended, written;
+
+	console.log('test: data counters');
+
+	source = mod_vstream.wrapStream(new mod_stream.Readable(),
+	    { 'name': 'source', 'countData': true });
+	source._read = function () {};
+	passthru = mod_vstream.wrapStream(new mod_stream.PassThrough(),
+	    { 'countData': true });
+	mod_assert.equal(passthru.vsName(), 'PassThrough');
+	objpassthru = mod_vstream.wrapStream(new mod_stream.PassThrough(
+	    { 'objectMode': true }), { 'name': 'obj', 'countData': true });
+	plain = mod_vstream.wrapStream(new mod_stream.PassThrough(), 'plain');
+	sink = new mod_stream.Writable();
+	written = 0;
+	sink._write = function (chunk, _, cb) {
+		written += chunk.length;
+		cb();
+	};
+	sink = mod_vstream.wrapStream(sink,
+	    { 'name': 'sink', 'countData': true });
+
+	source.pipe(passthru);
+	passthru.pipe(plain);
+	plain.pipe(sink);
+
+	sink.on('finish', function () {
+		mod_assert.equal(written, 11);
+		mod_assert.equal(source.vsCounters().nchunksout, 3);
+		mod_assert.equal(source.vsCounters().nbytesout, 11);
+		mod_assert.ok(!source.vsCounters().hasOwnProperty('nchunksin'));
+		mod_assert.equal(passthru.vsCounters().nchunksin, 3);
+		mod_assert.equal(passthru.vsCounters().nbytesin, 11);
+		mod_assert.equal(passthru.vsCounters().nbytesout, 11);
+		mod_assert.equal(sink.vsCounters().nbytesin, 11);
+		mod_assert.ok(!sink.vsCounters().hasOwnProperty('nchunksout'));
+		mod_assert.ok(!plain.vsCounters().hasOwnProperty('nchunksin'));
+		mod_assert.ok(!plain.vsCounters().hasOwnProperty('nbytesout'));
+
+		/* Object-mode streams count only chunks. */
+		objpassthru.write({ 'an': 'object' });
+		objpassthru.write('str\u00e9');
+		mod_assert.equal(objpassthru.vsCounters().nchunksin, 2);
+		mod_assert.equal(objpassthru.vsCounters().nchunksout, 2);
+		mod_assert.equal(objpassthru.vsCounters().nbytesin, 5);
+
+		/* Chunks passed to end() are counted, too. */
+		ended = mod_vstream.wrapStream(new mod_stream.PassThrough(),
+		    { 'name': 'ended', 'countData': true });
+		ended.resume();
+		ended.write('abc');
+		ended.end('defg', function () {
+			mod_assert.equal(ended.vsCounters().nchunksin, 2);
+			mod_assert.equal(ended.vsCounters().nbytesin, 7);
+			mod_assert.equal(ended.vsCounters().nbytesout, 7);
+			callback();
+		});
+	});
+
+	source.push('hello');
+	source.push(Buffer.from(' '));
+	source.push('world');
+	source.push(null);
+}
+
 mod_vasync.pipeline({
-    'funcs': [ testSimple, testPipeline, testPipelineUnmarshaled ]
+    'funcs': [
+	testSimple,
+	testPipeline,
+	testPipelineUnmarshaled,
+	testFanOut,
+	testGraph,
+	testNestedPipeline,
+	testLatency,
+	testCounterTypes,
+	testCountData
+    ]
 }, function (err) {
 	if (!err && !done)
 		err = new Error('premature exit');
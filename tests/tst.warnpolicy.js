@@ -0,0 +1,194 @@
+/*
+ * Test warning policies: rate-limiting of 'warn' events and escalation of
+ * warnings to errors.
+ */
+
+var mod_assert = require('assert');
+var mod_stream = require('stream');
+var mod_util = require('util');
+var mod_vasync = require('vasync');
+var mod_vstream = require('../lib/vstream');
+
+var WarningPolicy = mod_vstream.WarningPolicy;
+
+var done;
+
+/*
+ * Transform that warns about every input that's not a number and passes
+ * through the rest.
+ */
+function NumberFilter(name, options)
+{
+	var opts = { 'name': name };
+
+	if (options)
+		opts.warningPolicy = options.warningPolicy;
+
+	mod_stream.Transform.call(this, { 'objectMode': true });
+	mod_vstream.wrapTransform(this, opts);
+}
+
+mod_util.inherits(NumberFilter, mod_stream.Transform);
+
+NumberFilter.prototype._transform = function (chunk, _, callback)
+{
+	if (typeof (chunk) != 'number')
+		this.vsWarn(new Error('not a number: ' + chunk), 'nan');
+	else
+		this.push(chunk);
+	callback();
+};
+
+/*
+ * Test the policy's decisions directly, with explicit timestamps.
+ */
+function testCheck(_, callback)
+{
+	var policy, results, i;
+
+	console.log('test: policy decisions');
+
+	policy = new WarningPolicy({
+	    'interval': 100,
+	    'kinds': {
+		'noisy': { 'emitEvery': 3, 'emitLimit': 2 },
+		'bounded': { 'maxCount': 2 },
+		'bursty': { 'maxRate': 3 }
+	    },
+	    'defaults': { 'emitLimit': 1 }
+	});
+
+	results = [];
+	for (i = 0; i < 9; i++)
+		results.push(policy.check('noisy', 1000 + i).emit);
+	results.push(policy.check('noisy', 1100).emit);
+	mod_assert.deepEqual(results, [ true, false, false, true, false,
+	    false, false, false, false, true ]);
+
+	mod_assert.equal(policy.check('bounded', 0).escalate, null);
+	mod_assert.equal(policy.check('bounded', 0).escalate, null);
+	mod_assert.equal(policy.check('bounded', 0).escalate,
+	    'too many "bounded" warnings (3, limit 2)');
+	mod_assert.equal(policy.check('bounded', 0).escalate, null);
+
+	/* Three per window is allowed, even over several windows. */
+	for (i = 0; i < 9; i++)
+		mod_assert.equal(policy.check('bursty', i * 40).escalate, null);
+	mod_assert.equal(policy.check('bursty', 330).escalate,
+	    'too many "bursty" warnings (4 in 100ms, limit 3)');
+
+	mod_assert.ok(policy.check('other', 0).emit);
+	mod_assert.ok(!policy.check('other', 0).emit);
+	mod_assert.ok(policy.check('other', 100).emit);
+
+	mod_assert.deepEqual(policy.counts(), {
+	    'noisy': { 'count': 10, 'suppressed': 7 },
+	    'bounded': { 'count': 4, 'suppressed': 0 },
+	    'bursty': { 'count': 10, 'suppressed': 0 },
+	    'other': { 'count': 3, 'suppressed': 1 }
+	});
+
+	mod_assert.throws(function () {
+		return (new WarningPolicy({ 'kinds': { 'x': 'y' } }));
+	}, /args.kinds.x/);
+	callback();
+}
+
+/*
+ * Test a per-stream policy: 'warn' events are sampled, every warning is still
+ * counted, and the warning that exceeds the limit becomes an 'error' with the
+ * provenance context and counts.
+ */
+function testEscalation(_, callback)
+{
+	var filter, warnings, i;
+
+	console.log('test: escalation to error');
+
+	filter = new NumberFilter('filter', {
+	    'warningPolicy': new WarningPolicy({
+		'kinds': { 'nan': { 'maxCount': 4, 'emitEvery': 2 } }
+	    })
+	});
+
+	warnings = [];
+	filter.on('warn', function (context, kind, err) {
+		warnings.push(context.label());
+	});
+	filter.on('error', function (err) {
+		mod_assert.equal(err.message, 'filter: too many "nan" ' +
+		    'warnings (5, limit 4): not a number: x6');
+		mod_assert.equal(err.kind, 'nan');
+		mod_assert.equal(err.cause.message, 'not a number: x6');
+		mod_assert.equal(err.context.label(),
+		    'filter input 7: value \'x6\'');
+		mod_assert.deepEqual(err.counts,
+		    { 'nan': { 'count': 5, 'suppressed': 2 } });
+		mod_assert.deepEqual(warnings, [
+		    'filter input 2: value \'x1\'',
+		    'filter input 4: value \'x3\'',
+		    'filter input 7: value \'x6\''
+		]);
+		mod_assert.deepEqual(filter.vsWarnings(), { 'nan': 5 });
+		callback();
+	});
+
+	filter.write(0);
+	for (i = 1; i < 7; i++)
+		filter.write(i == 4 ? i : 'x' + i);
+}
+
+/*
+ * Test a policy shared by every stream in a pipeline, which limits the total
+ * number of warnings across those streams.
+ */
+function testPipeline(_, callback)
+{
+	var f1, f2, policy, errors;
+
+	console.log('test: pipeline-wide policy');
+
+	f1 = new NumberFilter('f1');
+	f2 = new NumberFilter('f2');
+	f1.pipe(f2);
+
+	policy = new WarningPolicy({ 'defaults': { 'maxCount': 2 } });
+	policy.applyToPipeline(f2);
+
+	errors = [];
+	f1.on('error', function (err) { errors.push('f1: ' + err.message); });
+	f2.on('error', function (err) { errors.push('f2: ' + err.message); });
+
+	/* f2 never sees non-numbers, so warn directly. */
+	f1.write('a');
+	f2.vsWarn(new Error('junk'), 'nan');
+	mod_assert.deepEqual(errors, []);
+	f1.write('b');
+	mod_assert.deepEqual(errors, [ 'f1: f1: too many "nan" warnings ' +
+	    '(3, limit 2): not a number: b' ]);
+	mod_assert.deepEqual(policy.counts(),
+	    { 'nan': { 'count': 3, 'suppressed': 0 } });
+
+	f2.vsSetWarningPolicy(null);
+	f2.on('warn', function () {});
+	f2.vsWarn(new Error('junk'), 'nan');
+	mod_assert.equal(errors.length, 1);
+	mod_assert.deepEqual(f2.vsWarnings(), { 'nan': 2 });
+
+	done = true;
+	callback();
+}
+
+mod_vasync.pipeline({
+    'funcs': [ testCheck, testEscalation, testPipeline ]
+}, function (err) {
+	if (!err && !done)
+		err = new Error('premature exit');
+
+	if (err) {
+		console.log('TEST FAILED');
+		throw (err);
+	}
+
+	console.log('TEST PASSED');
+});
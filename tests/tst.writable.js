@@ -0,0 +1,278 @@
+/*
+ * Test instrumented Writable streams.
+ */
+
+var mod_assert = require('assert');
+var mod_fs = require('fs');
+var mod_os = require('os');
+var mod_path = require('path');
+var mod_stream = require('stream');
+var mod_util = require('util');
+var mod_vasync = require('vasync');
+var mod_vstream = require('../lib/vstream');
+
+var done;
+
+/*
+ * Transform that upper-cases each input.
+ */
+function Upper(name)
+{
+	mod_stream.Transform.call(this, { 'objectMode': true });
+	mod_vstream.wrapTransform(this, name);
+}
+
+mod_util.inherits(Upper, mod_stream.Transform);
+
+Upper.prototype._transform = function (chunk, _, callback)
+{
+	callback(null, chunk.toUpperCase());
+};
+
+/*
+ * Byte-mode Transform that upper-cases each input.
+ */
+function ByteUpper(name)
+{
+	mod_stream.Transform.call(this);
+	mod_vstream.wrapTransform(this, name);
+}
+
+mod_util.inherits(ByteUpper, mod_stream.Transform);
+
+ByteUpper.prototype._transform = function (chunk, _, callback)
+{
+	callback(null, chunk.toString().toUpperCase());
+};
+
+/*
+ * Returns an instrumented Writable called "sink" that saves what it's given in
+ * "values".  It fails to write the value "failvalue", and if "writev" is true,
+ * it also supports _writev(), which fails if any of its chunks is "failvalue".
+ * Other options are passed to the Writable constructor.
+ */
+function sink(values, failvalue, writev, options)
+{
+	var stream, args;
+
+	args = { 'highWaterMark': 4 };
+	Object.keys(options || {}).forEach(function (k) {
+		args[k] = options[k];
+	});
+
+	args.write = function (chunk, _, callback) {
+		values.push(chunk);
+		setImmediate(function () {
+			if (String(chunk) == failvalue)
+				callback(new Error('write failed'));
+			else
+				callback();
+		});
+	};
+
+	if (writev) {
+		args.writev = function (chunks, callback) {
+			var failed = false;
+
+			chunks.forEach(function (c) {
+				values.push(c.chunk);
+				if (String(c.chunk) == failvalue)
+					failed = true;
+			});
+			setImmediate(function () {
+				callback(failed ? new Error('writev failed') :
+				    null);
+			});
+		};
+	}
+
+	stream = new mod_stream.Writable(args);
+	return (mod_vstream.wrapWritable(stream, 'sink'));
+}
+
+/*
+ * Test that instrumented Writables count what they write and see raw values,
+ * even though they accept provenance from instrumented Transforms.
+ */
+function testWritable(_, callback)
+{
+	var values, dest, upper;
+
+	console.log('test: instrumented writable');
+
+	values = [];
+	dest = sink(values, null, false, { 'objectMode': true });
+	upper = new Upper('upper');
+	mod_vstream.pipeline(mod_stream.Readable.from([ 'a', 'b', 'c' ]),
+	    upper, dest, function (err) {
+		var latency;
+
+		mod_assert.ok(!err);
+		mod_assert.deepEqual(values, [ 'A', 'B', 'C' ]);
+		mod_assert.equal(dest.vsCounters()['ninputs'], 3);
+		mod_assert.equal(dest.vsCounters()['nbyteswritten'], 3);
+
+		latency = dest.vsLatency();
+		mod_assert.deepEqual(Object.keys(latency), [ 'write' ]);
+		mod_assert.equal(latency['write'].count, 3);
+		callback();
+	    });
+
+	/* "upper" sends provenance to the sink. */
+	mod_assert.equal(upper.vs_marshalreaders.length, 1);
+}
+
+/*
+ * Test counting bytes written to a byte-oriented Writable.
+ */
+function testBytes(_, callback)
+{
+	var values, dest;
+
+	console.log('test: instrumented writable with bytes');
+
+	values = [];
+	dest = sink(values);
+	mod_vstream.pipeline(mod_stream.Readable.from([ 'a', 'bb', 'é' ]),
+	    new Upper('upper'), dest, function (err) {
+		mod_assert.ok(!err);
+		mod_assert.equal(Buffer.concat(values).toString(),
+		    'ABBÉ');
+		mod_assert.equal(dest.vsCounters()['ninputs'], 3);
+		mod_assert.equal(dest.vsCounters()['nbyteswritten'], 5);
+		callback();
+	    });
+}
+
+/*
+ * Test piping a byte-mode Transform into an instrumented file.  Byte streams
+ * can't send provenance, so the file just gets the bytes.
+ */
+function testByteFile(_, callback)
+{
+	var path, upper, file;
+
+	console.log('test: byte-mode transform into instrumented file');
+
+	path = mod_path.join(mod_os.tmpdir(),
+	    'tst.writable.' + process.pid + '.txt');
+	upper = new ByteUpper('upper');
+	file = mod_vstream.wrapWritable(mod_fs.createWriteStream(path), 'file');
+	upper.pipe(file);
+	file.on('finish', function () {
+		mod_assert.equal(mod_fs.readFileSync(path, 'utf8'),
+		    'HELLO\nWORLD');
+		mod_fs.unlinkSync(path);
+		mod_assert.equal(upper.vs_marshalreaders.length, 0);
+		mod_assert.equal(file.vsCounters()['ninputs'], 2);
+		mod_assert.equal(file.vsCounters()['nbyteswritten'], 11);
+		callback();
+	});
+	upper.write('hello\n');
+	upper.end('world');
+}
+
+/*
+ * Test passing ProvenanceValues to end() as well as write().  The underlying
+ * stream gets the raw values, and failures are attributed to the right one.
+ */
+function testEnd(_, callback)
+{
+	var values, dest;
+
+	console.log('test: instrumented writable end() with provenance');
+
+	values = [];
+	dest = sink(values, 'y');
+	dest.on('error', function (err) {
+		mod_assert.equal(err.message, 'write failed');
+		mod_assert.equal(Buffer.concat(values).toString(), 'xy');
+		mod_assert.equal(dest.vsCounters()['ninputs'], 2);
+		mod_assert.equal(mod_vstream.errorContext(err).label,
+		    'sink input 2 from src (id 2): value \'y\'');
+		callback();
+	});
+
+	dest.write(mod_vstream.ProvenanceValue.seed('x', 'src', { 'id': 1 }));
+	dest.end(mod_vstream.ProvenanceValue.seed('y', 'src', { 'id': 2 }));
+}
+
+/*
+ * Test that a failed write reports the provenance of the value being written.
+ */
+function testWriteError(_, callback)
+{
+	console.log('test: instrumented writable error');
+
+	mod_vstream.pipeline(mod_stream.Readable.from([ 'a', 'b', 'c' ]),
+	    new Upper('upper'), sink([], 'B', false, { 'objectMode': true }),
+	    function (err) {
+		mod_assert.equal(err.message, 'write failed');
+		mod_assert.deepEqual(mod_vstream.errorContext(err), {
+		    'stream': 'sink',
+		    'phase': 'write',
+		    'input': 2,
+		    'provenance': [
+			{ 'stream': 'upper', 'input': 2 },
+			{ 'stream': 'sink', 'input': 2 }
+		    ],
+		    'containers': [],
+		    'label': 'sink input 2 from upper input 2: value \'B\''
+		});
+		callback();
+	    });
+}
+
+/*
+ * Test a failed _writev().  The error is attributed to the first chunk in the
+ * batch.  These chunks are written directly, so they have no provenance from
+ * before the sink.
+ */
+function testWritevError(_, callback)
+{
+	var values, dest;
+
+	console.log('test: instrumented writable writev error');
+
+	values = [];
+	dest = sink(values, 'c', true, { 'objectMode': true });
+	dest.on('error', function (err) {
+		mod_assert.equal(err.message, 'writev failed');
+		mod_assert.deepEqual(values, [ 'a', 'b', 'c', 'd' ]);
+		mod_assert.deepEqual(mod_vstream.errorContext(err), {
+		    'stream': 'sink',
+		    'phase': 'write',
+		    'input': 2,
+		    'provenance': [ { 'stream': 'sink', 'input': 2 } ],
+		    'containers': [],
+		    'label': 'sink input 2: value \'b\''
+		});
+		mod_assert.equal(dest.vsCounters()['ninputs'], 4);
+		done = true;
+		callback();
+	});
+
+	/*
+	 * The first chunk is written by itself.  The rest are buffered while
+	 * that's happening and then written together.
+	 */
+	dest.write('a');
+	dest.write('b');
+	dest.write('c');
+	dest.write('d');
+}
+
+mod_vasync.pipeline({
+    'funcs': [ testWritable, testBytes, testByteFile, testEnd, testWriteError,
+	testWritevError ]
+}, function (err) {
+	if (!err && !done)
+		err = new Error('premature exit');
+
+	if (err) {
+		console.log('TEST FAILED');
+		throw (err);
+	}
+
+	console.log('TEST PASSED');
+});